@@ -6,6 +6,8 @@ import tz from "zigbee-herdsman-converters/converters/toZigbee";
 import { presets, access, binary } from "zigbee-herdsman-converters/lib/exposes";
 import { fz as _fz, tz as _tz, fingerprint as _fingerprint, onEventSetTime, configureMagicPacket, exposes as _exposes, valueConverter } from "zigbee-herdsman-converters/lib/tuya";
 import utils from "zigbee-herdsman-converters/lib/utils";
+import { appendFile } from "node:fs/promises";
+import { join } from "node:path";
 import { getValue, putValue } from "zigbee-herdsman-converters/lib/store";
 const e = presets;
 const ea = access;
@@ -65,6 +67,57 @@ const ea = access;
 // the energy flow direction (positive when "consuming" and negative when "producing"). The attribute
 // energy_flow_x is then set to "sign".
 //
+// The other options are described in README.md.
+//
+
+// The diagnostic counters (see the diagnostics option)
+const pj1203aDiagnosticCounters = {
+    messages_received: "Number of datapoint messages received",
+    sequence_gaps: "Number of missing or re-ordered messages detected",
+    reordered_messages: "Number of messages received out of order",
+    duplicate_messages: "Number of duplicate messages received",
+    frames_complete_a: "Number of complete frames received on channel A (published or not, see the throttle options)",
+    frames_complete_b: "Number of complete frames received on channel B (published or not, see the throttle options)",
+    frames_dropped_a: "Number of incomplete frames on channel A",
+    frames_dropped_b: "Number of incomplete frames on channel B",
+    zero_glitches: "Number of single-zero values filtered (see single_zero_remove)",
+    outlier_rejections_a: "Number of frames with one or more rejected values on channel A (see outlier_filter_A)",
+    outlier_rejections_b: "Number of frames with one or more rejected values on channel B (see outlier_filter_B)",
+    suppressed_flips_a: "Number of energy flow direction changes suppressed on channel A (see direction_debounce_frames_A)",
+    suppressed_flips_b: "Number of energy flow direction changes suppressed on channel B (see direction_debounce_frames_B)",
+    time_syncs: "Number of time synchronization commands received",
+    energy_corrections: "Number of energy counter decreases or jumps compensated (see energy_lifetime)",
+};
+
+// The energy counters of the device (106 to 109)
+const pj1203aEnergyCounters = ["energy_a", "energy_b", "energy_produced_a", "energy_produced_b"];
+
+// The energy totals of the device (1 and 2) and the counters they are the sum of.
+const pj1203aEnergyTotals = {
+    energy_ab: ["energy_a", "energy_b"],
+    energy_produced_ab: ["energy_produced_a", "energy_produced_b"],
+};
+
+// The periods and the tariffs of the period counters (see energy_periods).
+const pj1203aEnergyPeriods = ["today", "yesterday", "week", "month"];
+const pj1203aTariffs = ["peak", "offpeak"];
+
+// The names of all period counters (e.g. energy_import_a_today and energy_import_a_today_peak).
+function pj1203aEnergyPeriodNames() {
+    return ["import", "export"].flatMap((direction) =>
+        ["a", "b"].flatMap((x) =>
+            pj1203aEnergyPeriods.flatMap((period) => {
+                const name = `energy_${direction}_${x}_${period}`;
+                return [name, ...pj1203aTariffs.map((tariff) => `${name}_${tariff}`)];
+            }),
+        ),
+    );
+}
+
+// The names of the costs and revenues of each channel (see import_price and export_price).
+function pj1203aEnergyCostNames() {
+    return ["cost", "revenue"].flatMap((kind) => ["a", "b"].flatMap((x) => ["today", "month"].map((period) => `energy_${kind}_${x}_${period}`)));
+}
 
 /**
  * @param {{ device: import("zigbee-herdsman/dist/controller/model/endpoint.js").Endpoint | import("zigbee-herdsman/dist/controller/model/group.js").Group | import("zigbee-herdsman/dist/controller/model/device.js").Device; }} meta
@@ -72,6 +125,7 @@ const ea = access;
 function pj1203aGetPrivateState(meta) {
     let priv = getValue(meta.device, "private_state");
     if (priv === undefined) {
+        const state = meta.state ?? {};
         priv = {
             sign_a: null,
             sign_b: null,
@@ -84,9 +138,17 @@ function pj1203aGetPrivateState(meta) {
             timestamp_a: null,
             timestamp_b: null,
             // Used to detect missing or misordered messages.
-            // The _TZE204_81yrt3lo uses an increment of 256.
+            // The seq increment is learned from the first messages
+            // (the _TZE204_81yrt3lo uses an increment of 256).
             last_seq: -99999,
-            seq_inc: 256,
+            seq_inc: null,
+            seq_learn_delta: null,
+            seq_learn_count: 0,
+            seq_wrap_offset: null,
+            seq_misses: 0,
+            // Used by the stale watchdog
+            stale_a: null,
+            stale_b: null,
             // Also need to save the last published SIGNED values of
             // power_a and power_b to recompute power_ab on the fly.
             pub_power_a: null,
@@ -96,122 +158,1982 @@ function pj1203aGetPrivateState(meta) {
             zero_power_b: null,
             zero_current_a: null,
             zero_current_b: null,
+            // The time of the last zero frame (see pj1203aFlushZero)
+            zero_frame_time_a: null,
+            zero_frame_time_b: null,
+            // Used to deduce the energy flow direction from power_ab.
+            // last_power_x is the last unsigned power_x received (never cleared
+            // by a flush) and last_channel is the channel of the current group.
+            last_power_a: null,
+            last_power_b: null,
+            last_channel: null,
+            known_sign_a: null,
+            known_sign_b: null,
+            // Used by the outlier filter (see outlier_filter_x). The history
+            // contains the last 2 accepted values of each quantity, the candidates
+            // the last consecutive rejected values (for a real step change) and
+            // the last accepted values are used to hold a rejected value.
+            outlier_history_a: { power: [], current: [], power_factor: [] },
+            outlier_history_b: { power: [], current: [], power_factor: [] },
+            outlier_candidates_a: { power: [], current: [], power_factor: [] },
+            outlier_candidates_b: { power: [], current: [], power_factor: [] },
+            outlier_last_a: null,
+            outlier_last_b: null,
+            // Used by the moving averages (see smoothing_x). Cleared after a
+            // sequence gap.
+            smoothing_samples_a: [],
+            smoothing_samples_b: [],
+            smoothing_average_a: null,
+            smoothing_average_b: null,
+            // The minimum, sum, maximum and number of samples of each attribute
+            // during the current interval (see aggregate_interval).
+            aggregates: {},
+            // The last published values and time of each group of attributes
+            // (see the throttle options). Cleared when null values are published.
+            throttle_a: {},
+            throttle_b: {},
+            throttle_derived: {},
+            // Used to debounce the published direction (see direction_debounce_frames_x)
+            debounced_sign_a: null,
+            debounced_sign_b: null,
+            flip_frames_a: 0,
+            flip_frames_b: 0,
+            // Used to detect if energy_flow_x arrives too late (see the "auto"
+            // value of late_energy_flow_x). The verdict is restored from the
+            // device metadata (saved in the Zigbee2MQTT database) or else from
+            // the last published state.
+            raw_sign_a: null,
+            raw_sign_b: null,
+            inferred_sign_a: null,
+            inferred_sign_b: null,
+            late_votes_a: 0,
+            late_votes_b: 0,
+            on_time_votes_a: 0,
+            on_time_votes_b: 0,
+            energy_flow_timing_a: meta.device.meta.pj1203a_energy_flow_timing_a ?? state.energy_flow_timing_a ?? "unknown",
+            energy_flow_timing_b: meta.device.meta.pj1203a_energy_flow_timing_b ?? state.energy_flow_timing_b ?? "unknown",
+            // Used by the energy integration (see the energy_integration option).
+            // The published counters are restored from the last published state
+            // and they are used as anchors until the next device counters.
+            energy_time_a: null,
+            energy_time_b: null,
+            ...Object.fromEntries(
+                ["import_a", "import_b", "export_a", "export_b"].flatMap((name) => [
+                    [`energy_${name}`, state[`energy_${name}`] ?? null],
+                    [`energy_${name}_anchor`, state[`energy_${name}`] ?? null],
+                    [`energy_${name}_delta`, 0],
+                ]),
+            ),
+            // Used to detect the decreases and jumps of the energy counters. The offset
+            // added to each counter is restored from the last published state.
+            // The totals (1 and 2) are also kept there.
+            energy_raw: Object.fromEntries(
+                [...pj1203aEnergyCounters, ...Object.keys(pj1203aEnergyTotals)].map((name) => [name, state[name] ?? null]),
+            ),
+            energy_raw_time: Object.fromEntries(
+                [...pj1203aEnergyCounters, ...Object.keys(pj1203aEnergyTotals)].map((name) => [name, null]),
+            ),
+            energy_offsets: Object.fromEntries(
+                pj1203aEnergyCounters.map((name) => {
+                    const lifetime = state[`${name}_lifetime`];
+                    return [name, typeof lifetime === "number" && typeof state[name] === "number" ? lifetime - state[name] : 0];
+                }),
+            ),
+            // The period counters (see energy_periods) and the time of their last
+            // update, restored from the last published state.
+            energy_periods: Object.fromEntries(pj1203aEnergyPeriodNames().map((name) => [name, state[name] ?? 0])),
+            energy_periods_updated: state.energy_periods_updated ?? null,
+            // The costs and revenues of each channel (see import_price and export_price),
+            // restored from the last published state.
+            energy_costs: Object.fromEntries(pj1203aEnergyCostNames().map((name) => [name, state[name] ?? 0])),
+            // Used by the surplus detection. The grid power is the last one deduced
+            // from the channel roles (null when unknown).
+            grid_power: null,
+            surplus_samples: [],
+            surplus_available: state.surplus_available ?? false,
+            surplus_since: null,
+            // Used by the quarter-hour demand (see demand_source). The energy and
+            // the duration (in W.ms and ms) are accumulated since the start of the
+            // current quarter. The monthly peak is restored from the last published state.
+            demand_quarter: null,
+            demand_energy: 0,
+            demand_duration: 0,
+            demand_time: null,
+            demand_power: 0,
+            demand_peak_month: state.demand_peak_month ?? null,
+            demand_peak_month_time: state.demand_peak_month_time ?? null,
+            // The diagnostic counters are restored from the last published state.
+            counters: Object.fromEntries(
+                Object.keys(pj1203aDiagnosticCounters).map((name) => [name, typeof state[name] === "number" ? state[name] : 0]),
+            ),
         };
         putValue(meta.device, "private_state", priv);
     }
-    return priv;
-}
+    return priv;
+}
+
+// The timers, the messages held in the reorder buffer and the last
+// publish callback (used by the timers) are kept apart from the
+// private state because they cannot be serialized.
+/**
+ * @param {{ device: any; }} meta
+ */
+function pj1203aGetRuntime(meta) {
+    let runtime = getValue(meta.device, "runtime");
+    if (runtime === undefined) {
+        runtime = {
+            timers: {},
+            reorder_buffer: [],
+            publish: null,
+            // The trace lines waiting to be written (see the trace option)
+            trace: { lines: [], writing: false, warned: false },
+        };
+        putValue(meta.device, "runtime", runtime);
+    }
+    return runtime;
+}
+
+/**
+ * @param {any} meta
+ * @param {string} name
+ * @param {number} delay in ms
+ * @param {() => void} callback
+ */
+function pj1203aStartTimer(meta, name, delay, callback) {
+    const timers = pj1203aGetRuntime(meta).timers;
+    clearTimeout(timers[name]);
+    timers[name] = setTimeout(() => {
+        delete timers[name];
+        callback();
+    }, delay);
+}
+
+/**
+ * @param {any} meta
+ * @param {string} name
+ */
+function pj1203aStopTimer(meta, name) {
+    const timers = pj1203aGetRuntime(meta).timers;
+    clearTimeout(timers[name]);
+    delete timers[name];
+}
+
+// Add the diagnostic counters to a non-empty result.
+//
+// data_quality is the percentage of complete frames.
+//
+/**
+ * @param {{ [x: string]: any; }} result
+ * @param {{ [x: string]: any; }} priv
+ * @param {any} options
+ */
+function pj1203aAddDiagnostics(result, priv, options) {
+    if (!pj1203aGetOption(options, "diagnostics") || Object.keys(result).length === 0) {
+        return;
+    }
+    const counters = priv.counters;
+    Object.assign(result, counters);
+    const complete = counters.frames_complete_a + counters.frames_complete_b;
+    const dropped = counters.frames_dropped_a + counters.frames_dropped_b;
+    if (complete + dropped > 0) {
+        result.data_quality = Math.round((1000 * complete) / (complete + dropped)) / 10;
+    }
+}
+
+// Publish a result from a timer (i.e. outside of a converter call).
+/**
+ * @param {any} meta
+ * @param {any} options
+ * @param {{ [x: string]: any; }} result
+ */
+function pj1203aPublishLater(meta, options, result) {
+    pj1203aAddDiagnostics(result, pj1203aGetPrivateState(meta), options);
+    if (Object.keys(result).length > 0) {
+        pj1203aGetRuntime(meta).publish(result);
+    }
+}
+
+const pj1203aOptions = {
+    late_energy_flow: (/** @type {string} */ x) =>
+        e
+            .enum(`late_energy_flow_${x.toUpperCase()}`, ea.SET, ["false", "true", "auto"])
+            .withDescription(
+                ` If true then delay channel ${x.toUpperCase()} publication until the next energy flow update.` +
+                    ` With auto, the delay is only applied when the device is detected as sending late energy flow updates. The default is false.`,
+            ),
+
+    signed_power: (/** @type {string} */ x) =>
+        binary(`signed_power_${x.toUpperCase()}`, ea.SET, true, false)
+            .withDescription(
+                ` If true then power_${x} is signed otherwise the direction is provided by energy_flow_${x}. The default is true for the grid and battery roles (see channel_role_${x.toUpperCase()}) and false otherwise.`,
+            ),
+    channel_role: (/** @type {string} */ x) =>
+        e
+            .enum(`channel_role_${x.toUpperCase()}`, ea.SET, ["generic", "grid", "solar", "load", "battery"])
+            .withDescription(
+                ` What is measured by channel ${x.toUpperCase()}. When both channels have a role, the household flows are derived from power_a and power_b. The default is generic.`,
+            ),
+    import_export_power: (/** @type {string} */ x) =>
+        binary(`import_export_power_${x.toUpperCase()}`, ea.SET, true, false)
+            .withDescription(
+                ` If true then power_${x} is also published as power_import_${x} and power_export_${x} (as well as power_ab as power_import_ab and power_export_ab). The default is false.`,
+            ),
+    outlier_filter: (/** @type {string} */ x) =>
+        e
+            .enum(`outlier_filter_${x.toUpperCase()}`, ea.SET, ["off", "hold", "nullify"])
+            .withDescription(
+                ` Reject the outliers of power_${x}, current_${x} and power_factor_${x}.` +
+                    ` With 'off' (the default) all values are published.` +
+                    ` With 'hold' a rejected value is replaced by the previous one.` +
+                    ` With 'nullify' all attributes of the frame are set to null.`,
+            ),
+    outlier_power_step: (/** @type {string} */ x) =>
+        e
+            .numeric(`outlier_power_step_${x.toUpperCase()}`, ea.SET)
+            .withValueMin(0)
+            .withUnit("W")
+            .withDescription(
+                ` The maximum difference between power_${x} and the median of the last 3 frames (see outlier_filter_${x.toUpperCase()}). The default is 1000 W.`,
+            ),
+    outlier_current_step: (/** @type {string} */ x) =>
+        e
+            .numeric(`outlier_current_step_${x.toUpperCase()}`, ea.SET)
+            .withValueMin(0)
+            .withUnit("A")
+            .withDescription(
+                ` The maximum difference between current_${x} and the median of the last 3 frames (see outlier_filter_${x.toUpperCase()}). The default is 5 A.`,
+            ),
+    outlier_power_factor_step: (/** @type {string} */ x) =>
+        e
+            .numeric(`outlier_power_factor_step_${x.toUpperCase()}`, ea.SET)
+            .withValueMin(0)
+            .withValueMax(100)
+            .withUnit("%")
+            .withDescription(
+                ` The maximum difference between power_factor_${x} and the median of the last 3 frames (see outlier_filter_${x.toUpperCase()}). The default is 30%.`,
+            ),
+    smoothing: (/** @type {string} */ x) =>
+        e
+            .enum(`smoothing_${x.toUpperCase()}`, ea.SET, ["off", "exponential", "window"])
+            .withDescription(
+                ` Publish a moving average of power_${x}, current_${x} and power_factor_${x}.` +
+                    ` With 'off' (the default) no average is published.` +
+                    ` With 'exponential' the last smoothing_frames_${x.toUpperCase()} frames have the most weight.` +
+                    ` With 'window' the last smoothing_frames_${x.toUpperCase()} frames have the same weight.`,
+            ),
+    smoothing_frames: (/** @type {string} */ x) =>
+        e
+            .numeric(`smoothing_frames_${x.toUpperCase()}`, ea.SET)
+            .withValueMin(2)
+            .withValueMax(60)
+            .withDescription(` The number of frames of the moving average of channel ${x.toUpperCase()} (see smoothing_${x.toUpperCase()}). The default is 5.`),
+    smoothing_replace: (/** @type {string} */ x) =>
+        binary(`smoothing_replace_${x.toUpperCase()}`, ea.SET, true, false)
+            .withDescription(
+                ` If true then the moving averages of channel ${x.toUpperCase()} are published as power_${x}, current_${x} and power_factor_${x} instead of power_${x}_avg, current_${x}_avg and power_factor_${x}_avg (see smoothing_${x.toUpperCase()}). The default is false.`,
+            ),
+    deadband_power: (/** @type {string} */ x) =>
+        e
+            .numeric(`deadband_power_${x.toUpperCase()}`, ea.SET)
+            .withValueMin(0)
+            .withUnit("W")
+            .withDescription(
+                ` The power of channel ${x.toUpperCase()} below which a zero frame is published (0 W, 0 A and PF 100). The default is 0 (disabled).`,
+            ),
+    deadband_current: (/** @type {string} */ x) =>
+        e
+            .numeric(`deadband_current_${x.toUpperCase()}`, ea.SET)
+            .withValueMin(0)
+            .withUnit("A")
+            .withDescription(
+                ` The current of channel ${x.toUpperCase()} below which a zero frame is published (0 W, 0 A and PF 100). The default is 0 (disabled).`,
+            ),
+    direction_debounce_frames: (/** @type {string} */ x) =>
+        e
+            .numeric(`direction_debounce_frames_${x.toUpperCase()}`, ea.SET)
+            .withValueMin(1)
+            .withValueMax(20)
+            .withDescription(
+                ` The number of consecutive frames needed to change the published direction of channel ${x.toUpperCase()} (unless direction_debounce_power_${x.toUpperCase()} is reached). The default is 1.`,
+            ),
+    direction_debounce_power: (/** @type {string} */ x) =>
+        e
+            .numeric(`direction_debounce_power_${x.toUpperCase()}`, ea.SET)
+            .withValueMin(0)
+            .withUnit("W")
+            .withDescription(
+                ` The minimum power needed to change the published direction of channel ${x.toUpperCase()} immediately. Below that power, the change needs direction_debounce_frames_${x.toUpperCase()} consecutive frames (at least 2). The default is 0 (disabled).`,
+            ),
+    infer_energy_flow: (/** @type {string} */ x) =>
+        binary(`infer_energy_flow_${x.toUpperCase()}`, ea.SET, true, false)
+            .withDescription(
+                ` If true then the sign of power_${x} is deduced from power_ab when possible, otherwise behave as late_energy_flow_${x.toUpperCase()}. The default is false.`,
+            ),
+    single_zero_remove: () =>
+        binary(`single_zero_remove`, ea.SET, true, false)
+            .withDescription(
+                ` If true then single-zero power or current values will be disgarded. The default is false.`,
+            ),
+    reorder_window: () =>
+        e
+            .numeric(`reorder_window`, ea.SET)
+            .withValueMin(0)
+            .withValueMax(8)
+            .withDescription(
+                ` The maximum number of messages that can be held while waiting for a missing message. Set to 0 to disable the reordering. The default is 0.`,
+            ),
+    missing_data_behavior: () =>
+        e
+            .enum(`missing_data_behavior`, ea.SET, ["keep", "nullify_missing", "nullify_all", "publish_partial"])
+            .withDescription(
+                ` Define the behavior when some of energy_flow_x, power_x, current_x and power_factor_x are missing in a frame.` +
+                    ` With 'keep' (the default) no attribute is published so they all keep their old value.` +
+                    ` With 'nullify_missing' the missing attributes are set to null.` +
+                    ` With 'nullify_all' all attributes are set to null.` +
+                    ` With 'publish_partial' the available attributes are published.`,
+            ),
+    stale_periods: () =>
+        e
+            .numeric(`stale_periods`, ea.SET)
+            .withValueMin(2)
+            .withValueMax(100)
+            .withDescription(
+                ` The number of update periods without a complete frame after which a channel is considered as stale. The default is 3.`,
+            ),
+    aggregate_interval: () =>
+        e
+            .numeric(`aggregate_interval`, ea.SET)
+            .withValueMin(0)
+            .withValueMax(3600)
+            .withUnit("s")
+            .withDescription(
+                ` Publish the minimum, mean and maximum of power_x, current_x, power_factor_x, voltage and ac_frequency at the end of each interval aligned on the clock (e.g. 300 for every 5 minutes). The default is 0 (disabled).`,
+            ),
+    aggregate_only: () =>
+        binary(`aggregate_only`, ea.SET, true, false)
+            .withDescription(
+                ` If true then only the aggregates are published instead of the measurements of every frame (see aggregate_interval). The default is false.`,
+            ),
+    throttle_min_interval: (/** @type {string} */ group) =>
+        e
+            .numeric(`throttle_${group}_min_interval`, ea.SET)
+            .withValueMin(0)
+            .withUnit("s")
+            .withDescription(` The minimum time between two publications of ${pj1203aThrottleGroupLabel(group)}. The default is 0.`),
+    throttle_min_change: (/** @type {string} */ group) =>
+        e
+            .numeric(`throttle_${group}_min_change`, ea.SET)
+            .withValueMin(0)
+            .withUnit(PJ1203A_THROTTLE_UNITS[group])
+            .withDescription(
+                ` The minimum change of ${pj1203aThrottleGroupLabel(group)} to publish a new value (see throttle_${group}_min_change_percent). The default is 0 (any change).`,
+            ),
+    throttle_min_change_percent: (/** @type {string} */ group) =>
+        e
+            .numeric(`throttle_${group}_min_change_percent`, ea.SET)
+            .withValueMin(0)
+            .withUnit("%")
+            .withDescription(
+                ` The minimum relative change of ${pj1203aThrottleGroupLabel(group)} to publish a new value (see throttle_${group}_min_change). The default is 0 (any change).`,
+            ),
+    throttle_max_interval: (/** @type {string} */ group) =>
+        e
+            .numeric(`throttle_${group}_max_interval`, ea.SET)
+            .withValueMin(0)
+            .withUnit("s")
+            .withDescription(
+                ` The maximum time between two publications of ${pj1203aThrottleGroupLabel(group)} even without change. The default is 0 (disabled).`,
+            ),
+    stale_nullify: () =>
+        binary(`stale_nullify`, ea.SET, true, false)
+            .withDescription(
+                ` If true then the measurements of a stale channel are set to null. The default is false.`,
+            ),
+    diagnostics: () =>
+        binary(`diagnostics`, ea.SET, true, false)
+            .withDescription(
+                ` If true then the link-quality and data-integrity counters are published with the other attributes. The default is false.`,
+            ),
+    surplus_detection: () =>
+        binary(`surplus_detection`, ea.SET, true, false)
+            .withDescription(
+                ` If true then surplus_power and surplus_available are published. The channel roles must allow to deduce the grid power (see channel_role_x). The default is false.`,
+            ),
+    surplus_window: () =>
+        e
+            .numeric(`surplus_window`, ea.SET)
+            .withValueMin(0)
+            .withValueMax(3600)
+            .withUnit("s")
+            .withDescription(` The duration over which surplus_power is averaged. The default is 60.`),
+    surplus_on_threshold: () =>
+        e
+            .numeric(`surplus_on_threshold`, ea.SET)
+            .withUnit("W")
+            .withDescription(` surplus_available becomes true when surplus_power reaches that value. The default is 500.`),
+    surplus_off_threshold: () =>
+        e
+            .numeric(`surplus_off_threshold`, ea.SET)
+            .withUnit("W")
+            .withDescription(` surplus_available becomes false when surplus_power falls below that value. The default is 100.`),
+    surplus_min_on_time: () =>
+        e
+            .numeric(`surplus_min_on_time`, ea.SET)
+            .withValueMin(0)
+            .withUnit("s")
+            .withDescription(` The minimum duration during which surplus_available stays true. The default is 300.`),
+    surplus_min_off_time: () =>
+        e
+            .numeric(`surplus_min_off_time`, ea.SET)
+            .withValueMin(0)
+            .withUnit("s")
+            .withDescription(` The minimum duration during which surplus_available stays false. The default is 300.`),
+    demand_source: () =>
+        e
+            .enum(`demand_source`, ea.SET, ["off", "grid", "power_a", "power_b", "power_ab"])
+            .withDescription(
+                ` The import power used for the quarter-hour demand. With 'grid', the grid power is deduced from the channel roles (see channel_role_x). The default is off.`,
+            ),
+    energy_integration: () =>
+        binary(`energy_integration`, ea.SET, true, false)
+            .withDescription(
+                ` If true then the power is integrated into energy_import_x and energy_export_x between the energy updates of the device. The default is false.`,
+            ),
+    energy_lifetime: () =>
+        binary(`energy_lifetime`, ea.SET, true, false)
+            .withDescription(
+                ` If true then the energy counters are also published as energy_*_lifetime counters that compensate the decreases (e.g. device reset) and the implausible jumps (e.g. energy calibration). The default is false.`,
+            ),
+    energy_periods: () =>
+        binary(`energy_periods`, ea.SET, true, false)
+            .withDescription(
+                ` If true then the imported and exported energies of today, yesterday, this week and this month are published for each channel (e.g. energy_import_a_today). The default is false.`,
+            ),
+    import_price: (/** @type {string} */ tariff) =>
+        e
+            .numeric(tariff ? `import_price_${tariff}` : `import_price`, ea.SET)
+            .withValueMin(0)
+            .withDescription(
+                tariff
+                    ? ` The price of 1 kWh imported during the ${tariff === "peak" ? "peak" : "off-peak"} hours (see tariff_schedule). The default is import_price.`
+                    : ` The price of 1 kWh imported. The costs are published when a price or daily_charge is set. The default is 0.`,
+            ),
+    export_price: () =>
+        e
+            .numeric(`export_price`, ea.SET)
+            .withValueMin(0)
+            .withDescription(` The price paid for 1 kWh exported (feed-in). The default is 0.`),
+    daily_charge: () =>
+        e
+            .numeric(`daily_charge`, ea.SET)
+            .withValueMin(0)
+            .withDescription(` The fixed charge of each day, added to energy_cost_net_today and energy_cost_net_month. The default is 0.`),
+    tariff_schedule: () =>
+        e
+            .text(`tariff_schedule`, ea.SET)
+            .withDescription(
+                ` The peak hours of the energy periods, separated by ';' (e.g. 'mon-fri 07:00-22:00; sat 08:00-12:00'). The other hours are off-peak. The default is empty (no tariffs).`,
+            ),
+    trace: () =>
+        binary(`trace`, ea.SET, true, false)
+            .withDescription(
+                ` If true then all received datapoints are appended to pj1203a-trace-<ieee address>.jsonl in the Zigbee2MQTT data directory given by ZIGBEE2MQTT_DATA (one JSON object per line). The trace can be replayed with tools/replay.mjs. The default is false.`,
+            ),
+};
+
+// The default values of the options (see pj1203aOptions). The names of the
+// options of each channel end with _x (e.g. smoothing_x for smoothing_A and
+// smoothing_B).
+const pj1203aOptionDefaults = {
+    late_energy_flow_x: false,
+    channel_role_x: "generic",
+    import_export_power_x: false,
+    outlier_filter_x: "off",
+    outlier_power_step_x: 1000,
+    outlier_current_step_x: 5,
+    outlier_power_factor_step_x: 30,
+    smoothing_x: "off",
+    smoothing_frames_x: 5,
+    smoothing_replace_x: false,
+    deadband_power_x: 0,
+    deadband_current_x: 0,
+    direction_debounce_frames_x: 1,
+    direction_debounce_power_x: 0,
+    infer_energy_flow_x: false,
+    single_zero_remove: false,
+    missing_data_behavior: "keep",
+    aggregate_interval: 0,
+    aggregate_only: false,
+    ...Object.fromEntries(
+        ["power", "current", "power_factor"].flatMap((group) =>
+            ["min_interval", "min_change", "min_change_percent", "max_interval"].map((name) => [`throttle_${group}_${name}`, 0]),
+        ),
+    ),
+    stale_periods: 3,
+    stale_nullify: false,
+    diagnostics: false,
+    reorder_window: 0,
+    surplus_detection: false,
+    surplus_window: 60,
+    surplus_on_threshold: 500,
+    surplus_off_threshold: 100,
+    surplus_min_on_time: 300,
+    surplus_min_off_time: 300,
+    demand_source: "off",
+    energy_integration: false,
+    energy_periods: false,
+    import_price: 0,
+    export_price: 0,
+    daily_charge: 0,
+    tariff_schedule: "",
+    energy_lifetime: false,
+    trace: false,
+};
+
+/**
+ * @param {{ [x: string]: any; }} options
+ * @param {string} name The name of the option (with _x for the options of each channel)
+ * @param {string} [x] The channel of an option of each channel
+ */
+function pj1203aGetOption(options, name, x = undefined) {
+    const key = x === undefined ? name : name.replace(/_x$/, `_${x.toUpperCase()}`);
+    if (key in options) return options[key];
+    return pj1203aOptionDefaults[name];
+}
+
+/**
+ * @param {{ [x: string]: any; }} options
+ * @param {string} x
+ * @param {{ [x: string]: any; }} priv
+ */
+function pj1203aGetLateEnergyFlow(options, x, priv) {
+    const value = pj1203aGetOption(options, "late_energy_flow_x", x);
+    if (value === "auto") return priv[`energy_flow_timing_${x}`] !== "on_time";
+    return value === true || value === "true";
+}
+
+/**
+ * @param {{ [x: string]: any; }} options
+ * @param {string} x
+ */
+function pj1203aGetSignedPower(options, x) {
+    const key = `signed_power_${x.toUpperCase()}`;
+    if (key in options) return options[key];
+    return ["grid", "battery"].includes(pj1203aGetOption(options, "channel_role_x", x));
+}
+
+/**
+ * @param {{ [x: string]: any; }} options
+ */
+function pj1203aGetAggregateOnly(options) {
+    return pj1203aGetOption(options, "aggregate_only") && pj1203aGetOption(options, "aggregate_interval") > 0;
+}
+
+/**
+ * @param {{ [x: string]: any; }} options
+ * @param {string | null} tariff
+ */
+function pj1203aGetImportPrice(options, tariff) {
+    const key = `import_price_${tariff}`;
+    if (tariff !== null && key in options) return options[key];
+    return pj1203aGetOption(options, "import_price");
+}
+
+/**
+ * @param {{ [x: string]: any; }} options
+ */
+function pj1203aHasEnergyPrices(options) {
+    return ["import_price", "import_price_peak", "import_price_offpeak", "export_price", "daily_charge"].some((key) => key in options);
+}
+
+// The maximum number of trace lines waiting to be written. The
+// next ones are dropped (e.g. when the disk is too slow).
+const PJ1203A_TRACE_MAX_PENDING = 1000;
+
+// The trace file of a device in the Zigbee2MQTT data directory (see the trace option)
+// or null when that directory is unknown (ZIGBEE2MQTT_DATA is not set).
+//
+/**
+ * @param {any} meta
+ */
+function pj1203aTraceFile(meta) {
+    const directory = process.env.ZIGBEE2MQTT_DATA;
+    if (directory === undefined || directory === "") return null;
+    return join(directory, `pj1203a-trace-${meta.device.ieeeAddr}.jsonl`);
+}
+
+//
+// Append a received message to the trace file (see the trace option).
+//
+// Each line is a JSON object with the reception time, the message type and,
+// for the datapoint messages, the seq and the raw datapoints (not decoded).
+// The lines are buffered and written asynchronously. Nothing is written
+// (and a warning is logged once) when the data directory is unknown.
+//
+/**
+ * @param {any} msg
+ * @param {any} options
+ * @param {any} meta
+ */
+function pj1203aTrace(msg, options, meta) {
+    if (!pj1203aGetOption(options, "trace")) return;
+    const event = { time: new Date().toISOString(), type: msg.type };
+    if (msg.data?.dpValues) {
+        event.seq = msg.data.seq;
+        event.dpValues = msg.data.dpValues.map((dpValue) => ({
+            dp: dpValue.dp,
+            datatype: dpValue.datatype,
+            data: Buffer.from(dpValue.data).toString("hex"),
+        }));
+    }
+    const trace = pj1203aGetRuntime(meta).trace;
+    if (pj1203aTraceFile(meta) === null) {
+        if (!trace.warned) {
+            meta.logger.warning(`[PJ1203A] The trace is not written: ZIGBEE2MQTT_DATA is not set`);
+            trace.warned = true;
+        }
+        return;
+    }
+    if (trace.lines.length >= PJ1203A_TRACE_MAX_PENDING) {
+        meta.logger.debug(`[PJ1203A] Trace line dropped`);
+        return;
+    }
+    trace.lines.push(`${JSON.stringify(event)}\n`);
+    if (!trace.writing) {
+        pj1203aWriteTrace(meta);
+    }
+}
+
+// Write the pending trace lines. Only one write is in progress at a time
+// and the write errors are only logged.
+//
+/**
+ * @param {any} meta
+ */
+function pj1203aWriteTrace(meta) {
+    const trace = pj1203aGetRuntime(meta).trace;
+    const file = pj1203aTraceFile(meta);
+    const data = trace.lines.join("");
+    trace.lines = [];
+    trace.writing = true;
+    appendFile(file, data)
+        .catch((error) => meta.logger.debug(`[PJ1203A] Failed to write trace file '${file}': ${error}`))
+        .finally(() => {
+            trace.writing = false;
+            if (trace.lines.length > 0) {
+                pj1203aWriteTrace(meta);
+            }
+        });
+}
+
+// The tolerance when matching power_ab against the signed sum of power_a and power_b.
+// The other channel may have changed since its last group so a fraction of its
+// value is also tolerated.
+const PJ1203A_POWER_AB_TOLERANCE = 1.0; // in W
+const PJ1203A_POWER_AB_TOLERANCE_RATIO = 0.05;
+
+// Deduce the sign of channel x from the signed total power_ab.
+//
+// Return +1 or -1 or null when the sign cannot be determined unambiguously.
+/**
+ * @param {string} x
+ * @param {number} power_ab
+ * @param {{ [x: string]: any; }} priv
+ */
+function pj1203aSolveSign(x, power_ab, priv) {
+    const y = x === "a" ? "b" : "a";
+    const power_x = priv[`last_power_${x}`];
+    const power_y = priv[`last_power_${y}`];
+    if (power_x === null || power_y === null || power_x === 0) return null;
+
+    const tolerance = PJ1203A_POWER_AB_TOLERANCE + PJ1203A_POWER_AB_TOLERANCE_RATIO * power_y;
+    let candidates = [];
+    for (const sign_x of [+1, -1]) {
+        for (const sign_y of [+1, -1]) {
+            if (Math.abs(sign_x * power_x + sign_y * power_y - power_ab) <= tolerance) {
+                candidates.push({ sign_x, sign_y });
+            }
+        }
+    }
+
+    // When both signs of x are plausible, prefer the last known sign of y.
+    if (candidates.some((c) => c.sign_x !== candidates[0].sign_x)) {
+        candidates = candidates.filter((c) => c.sign_y === priv[`known_sign_${y}`]);
+    }
+    if (candidates.length === 0 || candidates.some((c) => c.sign_x !== candidates[0].sign_x)) {
+        return null;
+    }
+    return candidates[0].sign_x;
+}
+
+// The number of votes needed to decide if energy_flow_x arrives on time or late.
+const PJ1203A_ENERGY_FLOW_TIMING_VOTES = 3;
+
+// Detect if the energy_flow_x datapoint arrives one update too late.
+//
+// Only the transitions of the sign deduced from power_ab are relevant. The
+// raw sign received in the same group votes for "on_time" if it follows the
+// transition or for "late" if it still matches the previous sign.
+//
+// Return true when a vote occurred.
+/**
+ * @param {string} x
+ * @param {number | null} sign
+ * @param {{ [x: string]: any; }} priv
+ * @param {any} meta
+ */
+function pj1203aDetectLateEnergyFlow(x, sign, priv, meta) {
+    const raw_sign = priv[`raw_sign_${x}`];
+    const previous_sign = priv[`inferred_sign_${x}`];
+    priv[`raw_sign_${x}`] = null;
+    priv[`inferred_sign_${x}`] = sign;
+
+    if (sign === null || previous_sign === null || raw_sign === null || sign === previous_sign) {
+        return false;
+    }
+
+    if (raw_sign === sign) {
+        priv[`on_time_votes_${x}`]++;
+    } else {
+        priv[`late_votes_${x}`]++;
+    }
+
+    const balance = priv[`late_votes_${x}`] - priv[`on_time_votes_${x}`];
+    let timing = priv[`energy_flow_timing_${x}`];
+    if (balance >= PJ1203A_ENERGY_FLOW_TIMING_VOTES) {
+        timing = "late";
+    } else if (balance <= -PJ1203A_ENERGY_FLOW_TIMING_VOTES) {
+        timing = "on_time";
+    }
+    if (timing !== priv[`energy_flow_timing_${x}`]) {
+        meta.logger.debug(`[PJ1203A] energy_flow_${x} detected as ${timing}`);
+        priv[`energy_flow_timing_${x}`] = timing;
+        // The last published state is not always kept (e.g. a filtered attribute).
+        meta.device.meta[`pj1203a_energy_flow_timing_${x}`] = timing;
+        meta.device.save();
+    }
+    return true;
+}
+
+// Split a signed power into power_import_x and power_export_x.
+/**
+ * @param {{ [x: string]: any; }} result
+ * @param {string} x
+ * @param {number | null} power
+ */
+function pj1203aSplitPower(result, x, power) {
+    result[`power_import_${x}`] = power === null ? null : Math.max(power, 0);
+    result[`power_export_${x}`] = power === null ? null : Math.max(-power, 0);
+}
+
+// Recompute power_ab when power_a or power_b is published.
+//
+// The import and export powers (see import_export_power_x) are also
+// published here since this is where the signed powers are known.
+/**
+ * @param {{ [x: string]: number; power_a: number; energy_flow_a: string; power_b: number; energy_flow_b: string; }} result
+ * @param {{ pub_power_a: number | null; pub_power_b: number | null; }} priv
+ * @param {any} options
+ */
+function pj1203aRecomputePowerAb(result, priv, options) {
+    let modified = false;
+
+    // Important: 'power_x' and 'energy_flow_x' must be published together
+
+    if ("power_a" in result) {
+        priv.pub_power_a = result.power_a === null ? null : result.power_a * (result.energy_flow_a === "producing" ? -1 : 1);
+        if (pj1203aGetOption(options, "import_export_power_x", "a")) {
+            pj1203aSplitPower(result, "a", priv.pub_power_a);
+        }
+        modified = true;
+    }
+    if ("power_b" in result) {
+        priv.pub_power_b = result.power_b === null ? null : result.power_b * (result.energy_flow_b === "producing" ? -1 : 1);
+        if (pj1203aGetOption(options, "import_export_power_x", "b")) {
+            pj1203aSplitPower(result, "b", priv.pub_power_b);
+        }
+        modified = true;
+    }
+
+    if (modified) {
+        if (priv.pub_power_a !== null && priv.pub_power_b !== null) {
+            // Note: We need to "cancel" and reapply the scaling by 10
+            //       because of annoying floating-point rounding errors.
+            //       For example:
+            //          79.8 - 37.1  --> 42.699999999999996
+            result.power_ab = Math.round(10 * priv.pub_power_a + 10 * priv.pub_power_b) / 10;
+        } else if (result.power_a === null || result.power_b === null) {
+            result.power_ab = null;
+        }
+        if ("power_ab" in result && (pj1203aGetOption(options, "import_export_power_x", "a") || pj1203aGetOption(options, "import_export_power_x", "b"))) {
+            pj1203aSplitPower(result, "ab", result.power_ab);
+        }
+        pj1203aRecomputeHousehold(result, priv, options);
+    }
+}
+
+// The household flows derived from the channel roles.
+const pj1203aHouseholdFlows = ["power_house", "power_self_consumed", "power_grid_export", "self_sufficiency"];
+
+// Recompute the household flows (see channel_role_x) from the published
+// signed powers when power_a or power_b is published.
+//
+// The house consumption is measured by the load channels or deduced
+// from the grid: house = grid + solar production - battery charge. The
+// grid is deduced from the house when there is no grid channel.
+//
+/**
+ * @param {{ [x: string]: any; }} result
+ * @param {{ [x: string]: any; }} priv
+ * @param {any} options
+ */
+function pj1203aRecomputeHousehold(result, priv, options) {
+    const roles = { a: pj1203aGetOption(options, "channel_role_x", "a"), b: pj1203aGetOption(options, "channel_role_x", "b") };
+    priv.grid_power = null;
+    if (roles.a === "generic" || roles.b === "generic") {
+        return;
+    }
+    if (priv.pub_power_a === null || priv.pub_power_b === null) {
+        if (result.power_a === null || result.power_b === null) {
+            for (const name of pj1203aHouseholdFlows) result[name] = null;
+        }
+        return;
+    }
+
+    let grid = null;
+    let load = null;
+    let production = null;
+    let battery = 0;
+    for (const x of ["a", "b"]) {
+        const power = priv[`pub_power_${x}`];
+        if (roles[x] === "grid") grid = (grid ?? 0) + power;
+        else if (roles[x] === "load") load = (load ?? 0) + power;
+        else if (roles[x] === "solar") production = (production ?? 0) - power;
+        else if (roles[x] === "battery") battery += power;
+    }
+    if (grid === null && load === null) {
+        // e.g. solar and battery
+        return;
+    }
+    const house = load ?? grid + (production ?? 0) - battery;
+    grid ??= house - (production ?? 0) + battery;
+    priv.grid_power = grid;
+
+    const grid_import = Math.max(grid, 0);
+    const grid_export = Math.max(-grid, 0);
+    const round = (/** @type {number} */ value) => Math.round(value * 10) / 10;
+    result.power_house = round(house);
+    result.power_grid_export = round(grid_export);
+    result.power_self_consumed = production === null ? null : round(Math.max(production - grid_export, 0));
+    result.self_sufficiency = house > 0 ? Math.round(Math.min(Math.max((100 * (house - grid_import)) / house, 0), 100)) : 100;
+}
+
+/**
+ * @param {{ [x: string]: any; }} result
+ * @param {string} x
+ * @param {{ [x: string]: any; }} priv
+ * @param {any} options
+ * @param {any} meta
+ */
+function pj1203aFlushAll(result, x, priv, options, meta) {
+    let sign = priv[`sign_${x}`];
+    let power = priv[`power_${x}`];
+    let current = priv[`current_${x}`];
+    let power_factor = priv[`power_factor_${x}`];
+
+    // Make sure that we use them only once. No obsolete data!!!!
+    priv[`sign_${x}`] = priv[`power_${x}`] = priv[`current_${x}`] = priv[`power_factor_${x}`] = null;
+    pj1203aStopTimer(meta, `frame_${x}`);
+
+    // And only publish after receiving a complete set
+    if (sign !== null && power !== null && current !== null && power_factor !== null) {
+        const filtered = pj1203aRejectOutliers(x, { sign, power, current, power_factor }, priv, options);
+        if (filtered === null) {
+            result[`power_${x}`] = result[`energy_flow_${x}`] = result[`current_${x}`] = result[`power_factor_${x}`] = null;
+            priv[`throttle_${x}`] = {};
+            priv.throttle_derived = {};
+            pj1203aRecomputePowerAb(result, priv, options);
+            return false;
+        }
+        ({ sign, power, current, power_factor } = filtered);
+        // The same zero state as pj1203aFlushZero (see deadband_power_x and deadband_current_x)
+        if (pj1203aInDeadband(x, power, current, options)) {
+            sign = +1;
+            power = 0;
+            current = 0;
+            power_factor = 100;
+        }
+        if (pj1203aGetSignedPower(options, x)) {
+            result[`power_${x}`] = sign * power;
+            result[`energy_flow_${x}`] = "sign";
+        } else {
+            result[`power_${x}`] = power;
+            result[`energy_flow_${x}`] = sign > 0 ? "consuming" : "producing";
+        }
+        result[`timestamp_${x}`] = priv[`timestamp_${x}`];
+        result[`current_${x}`] = current;
+        result[`power_factor_${x}`] = power_factor;
+        result[`frame_incomplete_${x}`] = false;
+        priv.counters[`frames_complete_${x}`]++;
+        if (power !== 0) priv[`known_sign_${x}`] = sign;
+        pj1203aSmoothFrame(result, x, priv, options, { power: sign * power, current, power_factor });
+        pj1203aAggregate(priv, options, meta, { [`power_${x}`]: sign * power, [`current_${x}`]: current, [`power_factor_${x}`]: power_factor });
+        pj1203aIntegrateEnergy(result, x, priv, options, meta, sign * power);
+        pj1203aRecomputePowerAb(result, priv, options);
+        pj1203aUpdateSurplus(result, priv, options);
+        pj1203aUpdateDemand(result, priv, options, meta);
+        pj1203aDebounceDirection(result, x, priv, options);
+        pj1203aThrottle(result, x, priv, options);
+        pj1203aThrottleDerived(result, priv, options);
+        pj1203aRemoveAggregated(result, x, options);
+        pj1203aWatchStale(result, x, priv, options, meta);
+        return true;
+    }
+
+    // A sign alone is not a frame (e.g. energy_flow_x with late_energy_flow_x after a zero frame)
+    if (power !== null || current !== null || power_factor !== null) {
+        pj1203aFlushIncomplete(result, x, priv, options, { sign, power, current, power_factor });
+    }
+
+    return false;
+}
+
+// The maximum power that the device can measure on a channel. Anything
+// larger (or faster on the energy counters) is not plausible.
+const PJ1203A_MAX_CURRENT = 80; // in A
+const PJ1203A_MAX_VOLTAGE = 260; // in V
+
+const PJ1203A_OUTLIER_LIMITS = { power: PJ1203A_MAX_CURRENT * PJ1203A_MAX_VOLTAGE, current: PJ1203A_MAX_CURRENT, power_factor: 100 };
+
+// Apply the outlier_filter_x option to a complete frame of channel x.
+//
+// A value is rejected when it is outside of the clamp rating or when it is
+// too far from the median of itself and the 2 previous accepted values. The
+// rejected values are kept as candidates for a real step change: a new level
+// is accepted when the median of itself and the 2 previous candidates is
+// close enough (i.e. in the third frame). So two spikes in a row are rejected.
+//
+// A zero frame (0 W and 0 A) is a real state of the device so it is always
+// accepted and it restarts the history (the next frame is accepted as well).
+//
+// Return the frame to publish or null to nullify it. A frame with one or
+// more rejected values counts as one rejection. There is nothing to hold
+// before the first accepted frame so the frame is then nullified.
+//
+/**
+ * @param {string} x
+ * @param {{ sign: number; power: number; current: number; power_factor: number; }} frame
+ * @param {{ [x: string]: any; }} priv
+ * @param {any} options
+ */
+function pj1203aRejectOutliers(x, frame, priv, options) {
+    const mode = pj1203aGetOption(options, "outlier_filter_x", x);
+    if (mode === "off") {
+        return frame;
+    }
+    /** @type {{ [x: string]: number; }} */
+    const values = { power: frame.sign * frame.power, current: frame.current, power_factor: frame.power_factor };
+    if (frame.power === 0 && frame.current === 0) {
+        priv[`outlier_history_${x}`] = { power: [], current: [], power_factor: [] };
+        priv[`outlier_candidates_${x}`] = { power: [], current: [], power_factor: [] };
+        priv[`outlier_last_${x}`] = values;
+        return frame;
+    }
+    const history = priv[`outlier_history_${x}`];
+    const candidates = priv[`outlier_candidates_${x}`];
+    const last = priv[`outlier_last_${x}`];
+    const median = (/** @type {number[]} */ list) => [...list].sort((a, b) => a - b)[1];
+    let rejected = false;
+    for (const quantity of Object.keys(values)) {
+        const value = values[quantity];
+        const limit = PJ1203A_OUTLIER_LIMITS[quantity];
+        if (value > limit || value < (quantity === "power" ? -limit : 0)) {
+            rejected = true;
+            values[quantity] = last?.[quantity] ?? null;
+            continue;
+        }
+        const step = pj1203aGetOption(options, `outlier_${quantity}_step_x`, x);
+        const previous = history[quantity];
+        const outlier = previous.length === 2 && Math.abs(value - median([...previous, value])) > step;
+        const new_level = candidates[quantity].length === 2 && Math.abs(value - median([...candidates[quantity], value])) <= step;
+        if (outlier && !new_level) {
+            rejected = true;
+            values[quantity] = last?.[quantity] ?? null;
+            candidates[quantity] = [...candidates[quantity], value].slice(-2);
+            continue;
+        }
+        history[quantity] = outlier ? [candidates[quantity][1], value] : [...previous, value].slice(-2);
+        candidates[quantity] = [];
+    }
+    if (rejected) {
+        priv.counters[`outlier_rejections_${x}`]++;
+        if (mode === "nullify" || Object.values(values).includes(null)) {
+            return null;
+        }
+    }
+    priv[`outlier_last_${x}`] = values;
+    return {
+        sign: values.power < 0 ? -1 : +1,
+        power: Math.abs(values.power),
+        current: values.current,
+        power_factor: values.power_factor,
+    };
+}
+
+// Publish the moving averages of a complete frame of channel x (see smoothing_x).
+//
+// The power is averaged with its sign so the average of an unsigned power_x
+// is published with the corresponding energy_flow_x.
+//
+/**
+ * @param {{ [x: string]: any; }} result
+ * @param {string} x
+ * @param {{ [x: string]: any; }} priv
+ * @param {any} options
+ * @param {{ power: number; current: number; power_factor: number; }} frame
+ */
+function pj1203aSmoothFrame(result, x, priv, options, frame) {
+    const method = pj1203aGetOption(options, "smoothing_x", x);
+    if (method === "off") {
+        return;
+    }
+    const frames = pj1203aGetOption(options, "smoothing_frames_x", x);
+    const previous = priv[`smoothing_average_${x}`];
+    /** @type {{ [x: string]: number; }} */
+    const average = {};
+    if (method === "exponential") {
+        const alpha = 2 / (frames + 1);
+        for (const [name, value] of Object.entries(frame)) {
+            average[name] = previous === null ? value : previous[name] + alpha * (value - previous[name]);
+        }
+    } else {
+        const samples = [...priv[`smoothing_samples_${x}`], frame].slice(-frames);
+        priv[`smoothing_samples_${x}`] = samples;
+        for (const name of Object.keys(frame)) {
+            average[name] = samples.reduce((sum, sample) => sum + sample[name], 0) / samples.length;
+        }
+    }
+    priv[`smoothing_average_${x}`] = average;
+
+    const power = Math.round(average.power * 10) / 10;
+    const suffix = pj1203aGetOption(options, "smoothing_replace_x", x) ? "" : "_avg";
+    if (pj1203aGetSignedPower(options, x)) {
+        result[`power_${x}${suffix}`] = power;
+    } else {
+        result[`power_${x}${suffix}`] = Math.abs(power);
+        if (suffix === "") result[`energy_flow_${x}`] = power < 0 ? "producing" : "consuming";
+    }
+    result[`current_${x}${suffix}`] = Math.round(average.current * 1000) / 1000;
+    result[`power_factor_${x}${suffix}`] = Math.round(average.power_factor * 10) / 10;
+}
+
+// The number of decimals and the units of the aggregated attributes (see aggregate_interval).
+const PJ1203A_AGGREGATE_DECIMALS = { power: 1, current: 3, power_factor: 1, voltage: 1, ac_frequency: 2 };
+const PJ1203A_AGGREGATE_UNITS = { power: "W", current: "A", power_factor: "%", voltage: "V", ac_frequency: "Hz" };
+
+// Add some values to the current interval (see aggregate_interval).
+//
+// The aggregate timer is started by the first values of an interval so
+// nothing is published when nothing is received.
+//
+/**
+ * @param {{ [x: string]: any; }} priv
+ * @param {any} options
+ * @param {any} meta
+ * @param {{ [x: string]: number; }} values
+ */
+function pj1203aAggregate(priv, options, meta, values) {
+    const interval = pj1203aGetOption(options, "aggregate_interval") * 1000;
+    if (interval <= 0) {
+        return;
+    }
+    for (const [name, value] of Object.entries(values)) {
+        const aggregate = priv.aggregates[name];
+        if (aggregate === undefined) {
+            priv.aggregates[name] = { min: value, sum: value, max: value, count: 1 };
+        } else {
+            aggregate.min = Math.min(aggregate.min, value);
+            aggregate.sum += value;
+            aggregate.max = Math.max(aggregate.max, value);
+            aggregate.count++;
+        }
+    }
+    if (pj1203aGetRuntime(meta).timers.aggregate === undefined) {
+        const now = Date.now();
+        const boundary = Math.floor(now / interval) * interval + interval;
+        pj1203aStartTimer(meta, "aggregate", boundary - now, () => {
+            const result = {};
+            for (const [name, aggregate] of Object.entries(priv.aggregates)) {
+                const quantity = name.replace(/_[ab]$/, "");
+                const factor = 10 ** PJ1203A_AGGREGATE_DECIMALS[quantity];
+                result[`${name}_min`] = Math.round(aggregate.min * factor) / factor;
+                result[`${name}_mean`] = Math.round((aggregate.sum / aggregate.count) * factor) / factor;
+                result[`${name}_max`] = Math.round(aggregate.max * factor) / factor;
+                if (quantity === "power") {
+                    result[`aggregate_samples_${name.slice(-1)}`] = aggregate.count;
+                }
+            }
+            priv.aggregates = {};
+            pj1203aPublishLater(meta, options, result);
+        });
+    }
+}
+
+// Remove the measurements of a complete frame of channel x when only the
+// aggregates are published (see aggregate_only). Like the throttle, this is
+// done after computing the derived values.
+//
+/**
+ * @param {{ [x: string]: any; }} result
+ * @param {string} x
+ * @param {any} options
+ */
+function pj1203aRemoveAggregated(result, x, options) {
+    if (!pj1203aGetAggregateOnly(options)) {
+        return;
+    }
+    for (const name of [`power_${x}`, `energy_flow_${x}`, `timestamp_${x}`, `current_${x}`, `power_factor_${x}`, `power_import_${x}`, `power_export_${x}`]) {
+        delete result[name];
+        delete result[`${name}_avg`];
+    }
+}
+
+const PJ1203A_THROTTLE_UNITS = { power: "W", current: "A", power_factor: "%" };
+
+/**
+ * @param {string} group power, current or power_factor
+ */
+function pj1203aThrottleGroupLabel(group) {
+    return group === "power" ? "power_x (with energy_flow_x, timestamp_x, power_import_x, power_export_x, frame_incomplete_x and the derived powers)" : `${group}_x`;
+}
+
+// Check if a group of attributes can be published (see the throttle options).
+//
+// A group is published when throttle_<group>_max_interval is reached or
+// when throttle_<group>_min_interval is reached and one of the values
+// changed enough. A null value or a change of a boolean is always a change.
+//
+/**
+ * @param {any} options
+ * @param {string} group power, current or power_factor
+ * @param {{ values: any[]; time: number; } | undefined} previous The last publication
+ * @param {any[]} values The compared values
+ * @param {number} now
+ */
+function pj1203aThrottleAllows(options, group, previous, values, now) {
+    if (previous === undefined) {
+        return true;
+    }
+    const elapsed = (now - previous.time) / 1000;
+    const max_interval = pj1203aGetOption(options, `throttle_${group}_max_interval`);
+    if (max_interval > 0 && elapsed >= max_interval) {
+        return true;
+    }
+    if (elapsed < pj1203aGetOption(options, `throttle_${group}_min_interval`)) {
+        return false;
+    }
+    const min_change = pj1203aGetOption(options, `throttle_${group}_min_change`);
+    const min_change_percent = pj1203aGetOption(options, `throttle_${group}_min_change_percent`);
+    return values.some((value, i) => {
+        const last = previous.values[i];
+        if (typeof value !== "number" || typeof last !== "number") return value !== last;
+        const change = Math.abs(value - last);
+        return (
+            (min_change <= 0 && min_change_percent <= 0) ||
+            (min_change > 0 && change >= min_change) ||
+            (min_change_percent > 0 && change >= (Math.abs(last) * min_change_percent) / 100)
+        );
+    });
+}
+
+// Remove the groups of attributes that should not be published yet from a
+// complete frame of channel x (see the throttle options).
+//
+// This is done last so that the values derived from the frame (power_ab,
+// the household flows, the surplus and the demand) are always up to date.
+// frame_incomplete_x is published with the power group. The power is
+// compared with its sign so a change of direction is a change.
+//
+/**
+ * @param {{ [x: string]: any; }} result
+ * @param {string} x
+ * @param {{ [x: string]: any; }} priv
+ * @param {any} options
+ */
+function pj1203aThrottle(result, x, priv, options) {
+    const now = Date.now();
+    const last = priv[`throttle_${x}`];
+    /** @type {{ [x: string]: string[]; }} */
+    const groups = {
+        power: [`power_${x}`, `energy_flow_${x}`, `timestamp_${x}`, `power_import_${x}`, `power_export_${x}`, `frame_incomplete_${x}`],
+        current: [`current_${x}`],
+        power_factor: [`power_factor_${x}`],
+    };
+    for (const [group, names] of Object.entries(groups)) {
+        let value = result[names[0]];
+        if (group === "power" && result[`energy_flow_${x}`] === "producing") value = -value;
+        if (!pj1203aThrottleAllows(options, group, last[group], [value], now)) {
+            for (const name of names) delete result[name];
+            continue;
+        }
+        last[group] = { values: [value], time: now };
+    }
+}
+
+// The values derived from the complete frames and throttled with the
+// power group (see pj1203aThrottleDerived). The powers are compared and
+// the other attributes are published with them (a boolean is compared too).
+const PJ1203A_THROTTLE_DERIVED = {
+    power_ab: { compared: ["power_ab", "power_import_ab", "power_export_ab"], others: [] },
+    household: { compared: ["power_house", "power_self_consumed", "power_grid_export"], others: ["self_sufficiency"] },
+    surplus: { compared: ["surplus_power", "surplus_available"], others: [] },
+    demand: { compared: ["demand_average", "demand_prediction"], others: [] },
+};
+
+// Remove the derived values that should not be published yet with the
+// options of the power group (see the throttle options).
+//
+/**
+ * @param {{ [x: string]: any; }} result
+ * @param {{ [x: string]: any; }} priv
+ * @param {any} options
+ */
+function pj1203aThrottleDerived(result, priv, options) {
+    const now = Date.now();
+    for (const [name, { compared, others }] of Object.entries(PJ1203A_THROTTLE_DERIVED)) {
+        if (!compared.some((attribute) => attribute in result)) {
+            continue;
+        }
+        const values = compared.map((attribute) => result[attribute]);
+        if (!pj1203aThrottleAllows(options, "power", priv.throttle_derived[name], values, now)) {
+            for (const attribute of [...compared, ...others]) delete result[attribute];
+            continue;
+        }
+        priv.throttle_derived[name] = { values, time: now };
+    }
+}
+
+// Check if a complete frame of channel x is below the noise floor
+// (see deadband_power_x and deadband_current_x).
+//
+/**
+ * @param {string} x
+ * @param {number} power
+ * @param {number} current
+ * @param {any} options
+ */
+function pj1203aInDeadband(x, power, current, options) {
+    const deadband_power = pj1203aGetOption(options, "deadband_power_x", x);
+    const deadband_current = pj1203aGetOption(options, "deadband_current_x", x);
+    return (deadband_power > 0 && power < deadband_power) || (deadband_current > 0 && current < deadband_current);
+}
+
+// Apply the debounced direction to the published power_x and energy_flow_x
+// of a complete frame of channel x (see direction_debounce_frames_x).
+//
+// This is done after computing the derived values (power_ab, the household
+// flows, the integrated energies, ...) so that they use the measured direction.
+//
+/**
+ * @param {{ [x: string]: any; }} result
+ * @param {string} x
+ * @param {{ [x: string]: any; }} priv
+ * @param {any} options
+ */
+function pj1203aDebounceDirection(result, x, priv, options) {
+    const power = result[`power_${x}`] * (result[`energy_flow_${x}`] === "producing" ? -1 : 1);
+    const sign = power < 0 ? -1 : +1;
+    const published_sign = pj1203aDebounceSign(x, sign, Math.abs(power), priv, options);
+    if (published_sign === sign) {
+        return;
+    }
+    if (result[`energy_flow_${x}`] === "sign") {
+        result[`power_${x}`] = -result[`power_${x}`];
+    } else {
+        result[`energy_flow_${x}`] = published_sign > 0 ? "consuming" : "producing";
+    }
+    if (pj1203aGetOption(options, "import_export_power_x", x)) {
+        pj1203aSplitPower(result, x, -power);
+    }
+}
+
+// Return the direction to publish for a complete frame of channel x
+// (see direction_debounce_frames_x and direction_debounce_power_x).
+//
+// A new direction is only published after N consecutive frames or when
+// the power is large enough. When only direction_debounce_power_x is set,
+// a change below that power is accepted in the second consecutive frame.
+// The zero frames do not have a direction.
+//
+/**
+ * @param {string} x
+ * @param {number} sign
+ * @param {number} power
+ * @param {{ [x: string]: any; }} priv
+ * @param {any} options
+ */
+function pj1203aDebounceSign(x, sign, power, priv, options) {
+    if (power === 0) {
+        return sign;
+    }
+    const frames = pj1203aGetOption(options, "direction_debounce_frames_x", x);
+    const min_power = pj1203aGetOption(options, "direction_debounce_power_x", x);
+    const previous = priv[`debounced_sign_${x}`];
+    if ((frames <= 1 && min_power <= 0) || previous === null || sign === previous) {
+        priv[`debounced_sign_${x}`] = sign;
+        priv[`flip_frames_${x}`] = 0;
+        return sign;
+    }
+    priv[`flip_frames_${x}`]++;
+    if (priv[`flip_frames_${x}`] >= Math.max(frames, 2) || (min_power > 0 && power >= min_power)) {
+        priv[`debounced_sign_${x}`] = sign;
+        priv[`flip_frames_${x}`] = 0;
+        return sign;
+    }
+    priv.counters[`suppressed_flips_${x}`]++;
+    return previous;
+}
+
+// Apply the missing_data_behavior option to an incomplete frame
+// and indicate that the frame was incomplete.
+//
+// The power can only be published when its sign is known (or when
+// it is zero) because power_x and energy_flow_x go together.
+//
+/**
+ * @param {{ [x: string]: any; }} result
+ * @param {string} x
+ * @param {{ [x: string]: any; }} priv
+ * @param {any} options
+ * @param {{ sign: number | null; power: number | null; current: number | null; power_factor: number | null; }} values
+ */
+function pj1203aFlushIncomplete(result, x, priv, options, values) {
+    const behavior = pj1203aGetOption(options, "missing_data_behavior");
+    const { sign, current, power_factor } = values;
+    const power = sign === null && values.power !== 0 ? null : values.power;
+
+    result[`frame_incomplete_${x}`] = true;
+    priv.counters[`frames_dropped_${x}`]++;
+    priv[`throttle_${x}`] = {};
+
+    if (behavior === "keep") {
+        return;
+    }
+    priv.throttle_derived = {};
+
+    const all = behavior === "nullify_all";
+    const partial = behavior === "publish_partial";
+
+    if (power !== null && !all) {
+        if (pj1203aGetSignedPower(options, x)) {
+            result[`power_${x}`] = (sign ?? +1) * power;
+            result[`energy_flow_${x}`] = "sign";
+        } else {
+            result[`power_${x}`] = power;
+            result[`energy_flow_${x}`] = (sign ?? +1) > 0 ? "consuming" : "producing";
+        }
+        result[`timestamp_${x}`] = priv[`timestamp_${x}`];
+    } else if (!partial) {
+        result[`power_${x}`] = null;
+        result[`energy_flow_${x}`] = null;
+    }
+    if (current !== null && !all) {
+        result[`current_${x}`] = current;
+    } else if (!partial) {
+        result[`current_${x}`] = null;
+    }
+    if (power_factor !== null && !all) {
+        result[`power_factor_${x}`] = power_factor;
+    } else if (!partial) {
+        result[`power_factor_${x}`] = null;
+    }
+    pj1203aRecomputePowerAb(result, priv, options);
+}
+
+const PJ1203A_DEFAULT_UPDATE_FREQUENCY = 10; // in s
+
+// Start the frame timer of channel x if some values are pending.
+//
+// The frame timer fires when the frame is still incomplete after half of
+// update_frequency (or 1.5 update_frequency when the publication waits
+// for the next energy flow update).
+//
+/**
+ * @param {string} x
+ * @param {{ [x: string]: any; }} priv
+ * @param {any} options
+ * @param {any} meta
+ */
+function pj1203aWatchFrame(x, priv, options, meta) {
+    const pending = priv[`sign_${x}`] !== null || priv[`power_${x}`] !== null || priv[`current_${x}`] !== null || priv[`power_factor_${x}`] !== null;
+    if (!pending || pj1203aGetRuntime(meta).timers[`frame_${x}`] !== undefined) {
+        return;
+    }
+    const late = pj1203aGetLateEnergyFlow(options, x, priv) || pj1203aGetOption(options, "infer_energy_flow_x", x);
+    const update_frequency = meta.state?.update_frequency ?? PJ1203A_DEFAULT_UPDATE_FREQUENCY;
+    pj1203aStartTimer(meta, `frame_${x}`, (late ? 1.5 : 0.5) * update_frequency * 1000, () => {
+        meta.logger.debug(`[PJ1203A] Incomplete frame on channel ${x}`);
+        const result = {};
+        if (!pj1203aFlushAll(result, x, priv, options, meta) && !(`frame_incomplete_${x}` in result)) {
+            // The pending values were discarded (e.g. missing message)
+            pj1203aFlushIncomplete(result, x, priv, options, { sign: null, power: null, current: null, power_factor: null });
+        }
+        pj1203aPublishLater(meta, options, result);
+    });
+}
+
+// Restart the stale watchdog of channel x after a complete frame.
+//
+// Channel x becomes stale when no complete frame was received during
+// stale_periods update periods after timestamp_x. The measurements are
+// then set to null if stale_nullify is set.
+//
+/**
+ * @param {{ [x: string]: any; }} result
+ * @param {string} x
+ * @param {{ [x: string]: any; }} priv
+ * @param {any} options
+ * @param {any} meta
+ */
+function pj1203aWatchStale(result, x, priv, options, meta) {
+    if (priv[`stale_${x}`] !== false) {
+        result[`stale_${x}`] = priv[`stale_${x}`] = false;
+    }
+    const update_frequency = meta.state?.update_frequency ?? PJ1203A_DEFAULT_UPDATE_FREQUENCY;
+    const deadline = Date.parse(priv[`timestamp_${x}`]) + pj1203aGetOption(options, "stale_periods") * update_frequency * 1000;
+    pj1203aStartTimer(meta, `stale_${x}`, Math.max(0, deadline - Date.now()), () => {
+        meta.logger.debug(`[PJ1203A] Channel ${x} is stale`);
+        const result = {};
+        result[`stale_${x}`] = priv[`stale_${x}`] = true;
+        if (pj1203aGetOption(options, "stale_nullify")) {
+            priv[`throttle_${x}`] = {};
+            priv.throttle_derived = {};
+            result[`power_${x}`] = null;
+            result[`energy_flow_${x}`] = null;
+            result[`current_${x}`] = null;
+            result[`power_factor_${x}`] = null;
+            pj1203aRecomputePowerAb(result, priv, options);
+        }
+        pj1203aPublishLater(meta, options, result);
+    });
+}
+
+// The maximum time (in update periods) between two frames of a channel
+// for the energy integration. Larger gaps are left to the device counters.
+const PJ1203A_ENERGY_INTEGRATION_MAX_PERIODS = 3;
+
+// Integrate the signed power of a complete frame of channel x into
+// energy_import_x or energy_export_x (see the energy_integration option).
+//
+// The power is assumed constant since the previous frame of channel x.
+//
+/**
+ * @param {{ [x: string]: any; }} result
+ * @param {string} x
+ * @param {{ [x: string]: any; }} priv
+ * @param {any} options
+ * @param {any} meta
+ * @param {number} power The signed power (in W)
+ */
+function pj1203aIntegrateEnergy(result, x, priv, options, meta, power) {
+    if (!pj1203aGetOption(options, "energy_integration")) {
+        return;
+    }
+    const now = Date.parse(priv[`timestamp_${x}`]);
+    const last = priv[`energy_time_${x}`];
+    priv[`energy_time_${x}`] = now;
+    if (last === null) {
+        return;
+    }
+    const update_frequency = meta.state?.update_frequency ?? PJ1203A_DEFAULT_UPDATE_FREQUENCY;
+    const elapsed = (now - last) / 1000;
+    if (elapsed <= 0 || elapsed > PJ1203A_ENERGY_INTEGRATION_MAX_PERIODS * update_frequency) {
+        return;
+    }
+    const direction = power >= 0 ? "import" : "export";
+    priv[`energy_${direction}_${x}_delta`] += (Math.abs(power) * elapsed) / 3600000;
+    pj1203aPublishEnergy(result, x, direction, priv);
+}
+
+// Re-anchor the integrated energy on a device counter (106 to 109).
+/**
+ * @param {{ [x: string]: any; }} result
+ * @param {string} x
+ * @param {string} direction "import" or "export"
+ * @param {{ [x: string]: any; }} priv
+ * @param {number} energy The device counter (in kWh)
+ */
+function pj1203aAnchorEnergy(result, x, direction, priv, energy) {
+    priv[`energy_${direction}_${x}_anchor`] = energy;
+    priv[`energy_${direction}_${x}_delta`] = 0;
+    pj1203aPublishEnergy(result, x, direction, priv);
+}
+
+// Publish energy_import_x or energy_export_x (the last device counter plus
+// the energy integrated since then).
+//
+// Nothing is published before the first device counter and the value
+// never goes backward: When the integration is ahead of the device
+// counter, the last value is kept until the device catches up.
+//
+/**
+ * @param {{ [x: string]: any; }} result
+ * @param {string} x
+ * @param {string} direction "import" or "export"
+ * @param {{ [x: string]: any; }} priv
+ */
+function pj1203aPublishEnergy(result, x, direction, priv) {
+    const anchor = priv[`energy_${direction}_${x}_anchor`];
+    if (anchor === null) {
+        return;
+    }
+    const name = `energy_${direction}_${x}`;
+    const energy = Math.round((anchor + priv[`${name}_delta`]) * 10000) / 10000;
+    if (priv[name] === null || energy > priv[name]) {
+        result[name] = priv[name] = energy;
+    }
+}
+
+// The resolution of the energy counters.
+const PJ1203A_ENERGY_RESOLUTION = 0.01; // in kWh
+
+// Detect the decreases and the implausible jumps of an energy counter
+// and return the corrected counter.
+//
+// A correction is compensated by the offset of the counter so the
+// corrected counter stays at its previous value. The offsets are always
+// maintained (the energy_lifetime option only controls the publication).
+//
+/**
+ * @param {{ [x: string]: any; }} result
+ * @param {string} name The energy counter (see pj1203aEnergyCounters)
+ * @param {{ [x: string]: any; }} priv
+ * @param {any} options
+ * @param {any} meta
+ * @param {number} energy The raw counter (in kWh)
+ */
+function pj1203aCorrectEnergy(result, name, priv, options, meta, energy) {
+    const last = priv.energy_raw[name];
+    const last_time = priv.energy_raw_time[name];
+    const now = Date.now();
+    priv.energy_raw[name] = energy;
+    priv.energy_raw_time[name] = now;
+
+    if (last !== null) {
+        const delta = energy - last;
+        let reason = null;
+        if (delta < 0) {
+            reason = "decrease";
+        } else if (last_time !== null) {
+            // The time since the last counter is unknown after a restart.
+            const max = (PJ1203A_MAX_CURRENT * PJ1203A_MAX_VOLTAGE * (now - last_time)) / 3600000 / 1000;
+            if (delta > max + PJ1203A_ENERGY_RESOLUTION) {
+                reason = "jump";
+            }
+        }
+        if (reason !== null) {
+            meta.logger.debug(`[PJ1203A] Energy counter ${name} ${reason} from ${last} to ${energy} kWh`);
+            priv.energy_offsets[name] -= delta;
+            priv.counters.energy_corrections++;
+            if (pj1203aGetOption(options, "energy_lifetime")) {
+                result.energy_correction = `${name} ${reason} from ${last} to ${energy} kWh`;
+            }
+        }
+    }
+    return Math.round((energy + priv.energy_offsets[name]) * 100) / 100;
+}
+
+const PJ1203A_WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+// Parse the tariff_schedule option into a list of peak hours.
+//
+// Each entry is a list of days or ranges of days (e.g. "mon-fri" or
+// "sat,sun") followed by a time range (e.g. "07:00-22:00" or "22:00-06:00").
+// A time range ending before its start crosses midnight. Return null if an
+// entry is invalid (including an empty time range).
+//
+/**
+ * @param {string} schedule
+ */
+function pj1203aParseTariffSchedule(schedule) {
+    const entries = [];
+    for (const entry of schedule.split(";").map((entry) => entry.trim().toLowerCase())) {
+        if (entry === "") continue;
+        const match = entry.match(/^([a-z,-]+)\s+(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+        if (!match) return null;
+        const days = new Set();
+        for (const range of match[1].split(",")) {
+            const [first, last = first] = range.split("-").map((day) => PJ1203A_WEEKDAYS.indexOf(day));
+            if (first < 0 || last < 0) return null;
+            for (let day = first; ; day = (day + 1) % 7) {
+                days.add(day);
+                if (day === last) break;
+            }
+        }
+        const [start_hours, start_minutes, end_hours, end_minutes] = match.slice(2).map(Number);
+        if (start_minutes > 59 || end_minutes > 59) return null;
+        const start = start_hours * 60 + start_minutes;
+        const end = end_hours * 60 + end_minutes;
+        if (start >= 24 * 60 || end > 24 * 60 || start === end) return null;
+        entries.push({ days, start, end });
+    }
+    return entries;
+}
+
+// The parsed tariff_schedule options (see pj1203aGetTariff).
+const pj1203aTariffSchedules = new Map();
+
+// Return the tariff at a given time ("peak" or "offpeak") or null
+// without a valid tariff_schedule.
+//
+// A time range crossing midnight belongs to the day of its start. Each
+// schedule is only parsed (and reported when invalid) once.
+//
+/**
+ * @param {any} options
+ * @param {Date} date
+ * @param {any} meta
+ */
+function pj1203aGetTariff(options, date, meta) {
+    const schedule = pj1203aGetOption(options, "tariff_schedule");
+    if (schedule === "") {
+        return null;
+    }
+    if (!pj1203aTariffSchedules.has(schedule)) {
+        pj1203aTariffSchedules.set(schedule, pj1203aParseTariffSchedule(schedule));
+        if (pj1203aTariffSchedules.get(schedule) === null) {
+            meta.logger.warning(`[PJ1203A] Invalid tariff_schedule '${schedule}'`);
+        }
+    }
+    const entries = pj1203aTariffSchedules.get(schedule);
+    if (entries === null) {
+        return null;
+    }
+    const day = date.getDay();
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    for (const { days, start, end } of entries) {
+        if (start < end) {
+            if (days.has(day) && minutes >= start && minutes < end) return "peak";
+        } else if ((days.has(day) && minutes >= start) || (days.has((day + 6) % 7) && minutes < end)) {
+            return "peak";
+        }
+    }
+    return "offpeak";
+}
+
+// The local start of the day, of the next day, of the week (monday) and of the month of a date.
+//
+/**
+ * @param {Date} date
+ */
+function pj1203aPeriodStarts(date) {
+    const [year, month, day] = [date.getFullYear(), date.getMonth(), date.getDate()];
+    return {
+        today: new Date(year, month, day).getTime(),
+        tomorrow: new Date(year, month, day + 1).getTime(),
+        week: new Date(year, month, day - ((date.getDay() + 6) % 7)).getTime(),
+        month: new Date(year, month, 1).getTime(),
+    };
+}
+
+// Add the increase of an energy counter to the period counters (see
+// the energy_periods option) and to the costs (see import_price and
+// export_price) after starting the new periods.
+//
+// The increase is attributed to the tariff at the time it is received.
+// All counters are published when a new period starts.
+//
+/**
+ * @param {{ [x: string]: any; }} result
+ * @param {string} counter import_x or export_x
+ * @param {{ [x: string]: any; }} priv
+ * @param {any} options
+ * @param {any} meta
+ * @param {number} delta The increase of the corrected counter (in kWh)
+ */
+function pj1203aUpdateEnergyPeriods(result, counter, priv, options, meta, delta) {
+    const now = new Date();
+    const counters = priv.energy_periods;
+    const names = Object.keys(counters);
+    let published = names.filter((name) => name.startsWith(`energy_${counter}_`));
+    let new_day = false;
+    let new_month = false;
+
+    if (priv.energy_periods_updated !== null) {
+        const last = pj1203aPeriodStarts(new Date(priv.energy_periods_updated));
+        const current = pj1203aPeriodStarts(now);
+        if (current.today !== last.today) {
+            for (const name of names.filter((name) => name.includes("_today"))) {
+                counters[name.replace("_today", "_yesterday")] = current.today === last.tomorrow ? counters[name] : 0;
+                counters[name] = 0;
+            }
+            published = names;
+            new_day = true;
+        }
+        for (const period of ["week", "month"]) {
+            if (current[period] !== last[period]) {
+                for (const name of names.filter((name) => name.includes(`_${period}`))) {
+                    counters[name] = 0;
+                }
+            }
+        }
+        new_month = current.month !== last.month;
+    }
+    priv.energy_periods_updated = now.toISOString();
+
+    const tariff = pj1203aGetTariff(options, now, meta);
+    if (pj1203aHasEnergyPrices(options)) {
+        pj1203aUpdateEnergyCosts(result, counter, priv, options, { now, tariff, delta, new_day, new_month });
+    }
+    if (!pj1203aGetOption(options, "energy_periods")) {
+        return;
+    }
+    result.energy_periods_updated = priv.energy_periods_updated;
+    for (const period of ["today", "week", "month"]) {
+        const name = `energy_${counter}_${period}`;
+        counters[name] = Math.round((counters[name] + delta) * 100) / 100;
+        if (tariff !== null) {
+            counters[`${name}_${tariff}`] = Math.round((counters[`${name}_${tariff}`] + delta) * 100) / 100;
+        }
+    }
+    const tariffs = pj1203aGetOption(options, "tariff_schedule") !== "";
+    for (const name of published) {
+        if (tariffs || !pj1203aTariffs.some((tariff) => name.endsWith(`_${tariff}`))) {
+            result[name] = counters[name];
+        }
+    }
+}
+
+// Add the cost (or the revenue) of the increase of an energy counter and
+// publish all costs with the net costs.
+//
+// The net costs only use the channels with the grid role (when there is
+// one) so that the solar production is not counted twice. The daily charge
+// is added once per day of the month.
+//
+/**
+ * @param {{ [x: string]: any; }} result
+ * @param {string} counter import_x or export_x
+ * @param {{ [x: string]: any; }} priv
+ * @param {any} options
+ * @param {{ now: Date; tariff: string | null; delta: number; new_day: boolean; new_month: boolean; }} update
+ */
+function pj1203aUpdateEnergyCosts(result, counter, priv, options, { now, tariff, delta, new_day, new_month }) {
+    const costs = priv.energy_costs;
+    for (const name of Object.keys(costs)) {
+        if ((new_day && name.endsWith("_today")) || (new_month && name.endsWith("_month"))) {
+            costs[name] = 0;
+        }
+    }
+    const [direction, x] = counter.split("_");
+    const amount = direction === "import" ? delta * pj1203aGetImportPrice(options, tariff) : delta * pj1203aGetOption(options, "export_price");
+    for (const period of ["today", "month"]) {
+        const name = `energy_${direction === "import" ? "cost" : "revenue"}_${x}_${period}`;
+        costs[name] = Math.round((costs[name] + amount) * 10000) / 10000;
+    }
+    for (const [name, value] of Object.entries(costs)) {
+        result[name] = Math.round(value * 100) / 100;
+    }
 
-const pj1203aOptions = {
-    late_energy_flow: (/** @type {string} */ x) =>
-        binary(`late_energy_flow_${x.toUpperCase()}`, ea.SET, true, false)
-            .withDescription(
-                ` If true then delay channel ${x.toUpperCase()} publication until the next energy flow update. The default is false.`,
-            ),
+    const grid = ["a", "b"].filter((x) => pj1203aGetOption(options, "channel_role_x", x) === "grid");
+    const channels = grid.length > 0 ? grid : ["a", "b"];
+    for (const period of ["today", "month"]) {
+        let net = pj1203aGetOption(options, "daily_charge") * (period === "today" ? 1 : now.getDate());
+        for (const x of channels) {
+            net += costs[`energy_cost_${x}_${period}`] - costs[`energy_revenue_${x}_${period}`];
+        }
+        result[`energy_cost_net_${period}`] = Math.round(net * 100) / 100;
+    }
+}
 
-    signed_power: (/** @type {string} */ x) =>
-        binary(`signed_power_${x.toUpperCase()}`, ea.SET, true, false)
-            .withDescription(
-                ` If true then power_${x} is signed otherwise the direction is provided by energy_flow_${x}. The default is false.`,
-            ),
-    single_zero_remove: () =>
-        binary(`single_zero_remove`, ea.SET, true, false)
-            .withDescription(
-                ` If true then single-zero power or current values will be disgarded. The default is false.`,
-            ),
-};
+// The maximum time between the energy counters that are compared to a total.
+const PJ1203A_ENERGY_CHECK_WINDOW = 60000; // in ms
 
+// Compare the energy totals (1 and 2) to the sums of their counters (106 to 109)
+// after receiving one of them.
+//
+// The comparison is only done when the total and both counters were
+// received together (i.e. in the same 6 minutes update). Since each value
+// is rounded down by the device, one unit of difference is tolerated.
+//
 /**
- * @param {{ [x: string]: any; }} options
- * @param {string} x
+ * @param {{ [x: string]: any; }} result
+ * @param {string} received The received total or counter
+ * @param {{ [x: string]: any; }} priv
+ * @param {any} meta
  */
-function pj1203aGetLateEnergyFlow(options, x) {
-    const key = `late_energy_flow_${x.toUpperCase()}`;
-    if (key in options) return options[key];
-    false;
+function pj1203aCheckEnergyTotals(result, received, priv, meta) {
+    for (const [total, counters] of Object.entries(pj1203aEnergyTotals)) {
+        const names = [total, ...counters];
+        if (!names.includes(received)) {
+            continue;
+        }
+        const times = names.map((name) => priv.energy_raw_time[name]);
+        if (times.includes(null) || Math.max(...times) - Math.min(...times) > PJ1203A_ENERGY_CHECK_WINDOW) {
+            continue;
+        }
+        const difference = priv.energy_raw[total] - priv.energy_raw[counters[0]] - priv.energy_raw[counters[1]];
+        const mismatch = Math.round(Math.abs(difference) / PJ1203A_ENERGY_RESOLUTION) > 1;
+        if (mismatch) {
+            meta.logger.debug(`[PJ1203A] ${total} does not match ${counters.join("+")} (difference ${difference.toFixed(2)} kWh)`);
+        }
+        result[`${total}_mismatch`] = mismatch;
+    }
 }
 
+// Publish the net energy (imported minus exported) of channel x (a, b or ab).
 /**
- * @param {{ [x: string]: any; }} options
+ * @param {{ [x: string]: any; }} result
  * @param {string} x
+ * @param {{ [x: string]: any; }} priv
  */
-function pj1203aGetSignedPower(options, x) {
-    const key = `signed_power_${x.toUpperCase()}`;
-    if (key in options) return options[key];
-    false;
+function pj1203aPublishEnergyNet(result, x, priv) {
+    const imported = priv.energy_raw[`energy_${x}`];
+    const exported = priv.energy_raw[`energy_produced_${x}`];
+    if (imported !== null && exported !== null) {
+        result[`energy_net_${x}`] = Math.round((imported - exported) * 100) / 100;
+    }
 }
+
+// Update surplus_power and surplus_available after a complete frame
+// (see the surplus_detection option).
+//
 /**
- * @param {{ [x: string]: any; }} options
+ * @param {{ [x: string]: any; }} result
+ * @param {{ [x: string]: any; }} priv
+ * @param {any} options
  */
-function pj1203aGetSingleZeroRemove(options) {
-    const key = `single_zero_remove`;
-    if (key in options) return options[key];
-    false;
+function pj1203aUpdateSurplus(result, priv, options) {
+    if (!pj1203aGetOption(options, "surplus_detection") || priv.grid_power === null) {
+        return;
+    }
+    // The average is weighted by the time since the previous sample since a
+    // sample is added for each channel. The oldest sample only indicates
+    // the start of the first period.
+    const now = Date.now();
+    const start = now - pj1203aGetOption(options, "surplus_window") * 1000;
+    const samples = priv.surplus_samples;
+    samples.push({ time: now, power: -priv.grid_power });
+    while (samples.length > 1 && samples[1].time <= start) {
+        samples.shift();
+    }
+    let total = 0;
+    let duration = 0;
+    for (let i = 1; i < samples.length; i++) {
+        const period = samples[i].time - Math.max(samples[i - 1].time, start);
+        total += samples[i].power * period;
+        duration += period;
+    }
+    const surplus = duration > 0 ? total / duration : samples[samples.length - 1].power;
+
+    const elapsed = priv.surplus_since === null ? Infinity : (now - priv.surplus_since) / 1000;
+    if (!priv.surplus_available) {
+        if (surplus >= pj1203aGetOption(options, "surplus_on_threshold") && elapsed >= pj1203aGetOption(options, "surplus_min_off_time")) {
+            priv.surplus_available = true;
+            priv.surplus_since = now;
+        }
+    } else if (surplus < pj1203aGetOption(options, "surplus_off_threshold") && elapsed >= pj1203aGetOption(options, "surplus_min_on_time")) {
+        priv.surplus_available = false;
+        priv.surplus_since = now;
+    }
+    result.surplus_power = Math.round(surplus * 10) / 10;
+    result.surplus_available = priv.surplus_available;
 }
 
-// Recompute power_ab when power_a or power_b is published.
+const PJ1203A_DEMAND_PERIOD = 15 * 60 * 1000; // in ms
+
+// Update the quarter-hour demand after a complete frame (see the
+// demand_source option).
+//
+// The import power (never negative) is assumed constant until the next
+// frame but only during a few update periods. The quarters are aligned on
+// the clock and a quarter is closed by the first frame after its end.
+//
 /**
- * @param {{ [x: string]: number; power_a: number; energy_flow_a: string; power_b: number; energy_flow_b: string; }} result
- * @param {{ pub_power_a: number | null; pub_power_b: number | null; }} priv
+ * @param {{ [x: string]: any; }} result
+ * @param {{ [x: string]: any; }} priv
  * @param {any} options
+ * @param {any} meta
  */
-function pj1203aRecomputePowerAb(result, priv, options) {
-    let modified = false;
-
-    // Important: 'power_x' and 'energy_flow_x' must be published together
-
-    if ("power_a" in result) {
-        priv.pub_power_a = result.power_a * (result.energy_flow_a === "producing" ? -1 : 1);
-        modified = true;
+function pj1203aUpdateDemand(result, priv, options, meta) {
+    const source = pj1203aGetOption(options, "demand_source");
+    if (source === "off") {
+        return;
     }
-    if ("power_b" in result) {
-        priv.pub_power_b = result.power_b * (result.energy_flow_b === "producing" ? -1 : 1);
-        modified = true;
+    let power = null;
+    if (source === "grid") {
+        power = priv.grid_power;
+    } else if (source === "power_ab") {
+        if (priv.pub_power_a !== null && priv.pub_power_b !== null) power = priv.pub_power_a + priv.pub_power_b;
+    } else {
+        power = priv[`pub_${source}`];
+    }
+    if (power === null) {
+        return;
     }
 
-    if (modified) {
-        if (priv.pub_power_a !== null && priv.pub_power_b !== null) {
-            // Note: We need to "cancel" and reapply the scaling by 10
-            //       because of annoying floating-point rounding errors.
-            //       For example:
-            //          79.8 - 37.1  --> 42.699999999999996
-            result.power_ab = Math.round(10 * priv.pub_power_a + 10 * priv.pub_power_b) / 10;
+    const now = Date.now();
+    if (priv.demand_time !== null) {
+        const update_frequency = meta.state?.update_frequency ?? PJ1203A_DEFAULT_UPDATE_FREQUENCY;
+        const end = Math.min(now, priv.demand_time + PJ1203A_ENERGY_INTEGRATION_MAX_PERIODS * update_frequency * 1000);
+        let time = priv.demand_time;
+        while (time < end) {
+            const next = Math.min(end, priv.demand_quarter + PJ1203A_DEMAND_PERIOD);
+            priv.demand_energy += priv.demand_power * (next - time);
+            priv.demand_duration += next - time;
+            time = next;
+            if (time === priv.demand_quarter + PJ1203A_DEMAND_PERIOD) {
+                pj1203aCloseDemandQuarter(result, priv);
+            }
+        }
+    }
+    const quarter = Math.floor(now / PJ1203A_DEMAND_PERIOD) * PJ1203A_DEMAND_PERIOD;
+    if (priv.demand_quarter !== quarter) {
+        // After missing data (or at the start)
+        if (priv.demand_duration > 0) {
+            pj1203aCloseDemandQuarter(result, priv);
         }
+        priv.demand_quarter = quarter;
+        priv.demand_energy = 0;
+        priv.demand_duration = 0;
     }
+    priv.demand_time = now;
+    priv.demand_power = Math.max(0, power);
+
+    const remaining = priv.demand_quarter + PJ1203A_DEMAND_PERIOD - now;
+    const average = priv.demand_duration > 0 ? priv.demand_energy / priv.demand_duration : priv.demand_power;
+    const prediction = (priv.demand_energy + priv.demand_power * remaining) / (priv.demand_duration + remaining);
+    result.demand_average = Math.round(average * 10) / 10;
+    result.demand_prediction = Math.round(prediction * 10) / 10;
 }
 
+// Publish the average import power of the current quarter as
+// demand_last_quarter, update the monthly peak and start the next quarter.
+//
+// The average only covers the part of the quarter with data. The month
+// is the local month of the start of the quarter.
+//
 /**
  * @param {{ [x: string]: any; }} result
- * @param {string} x
  * @param {{ [x: string]: any; }} priv
- * @param {any} options
  */
-function pj1203aFlushAll(result, x, priv, options) {
-    const sign = priv[`sign_${x}`];
-    const power = priv[`power_${x}`];
-    const current = priv[`current_${x}`];
-    const power_factor = priv[`power_factor_${x}`];
-
-    // Make sure that we use them only once. No obsolete data!!!!
-    priv[`sign_${x}`] = priv[`power_${x}`] = priv[`current_${x}`] = priv[`power_factor_${x}`] = null;
+function pj1203aCloseDemandQuarter(result, priv) {
+    const start = new Date(priv.demand_quarter);
+    const average = Math.round((priv.demand_energy / priv.demand_duration) * 10) / 10;
+    result.demand_last_quarter = average;
 
-    // And only publish after receiving a complete set
-    if (sign !== null && power !== null && current !== null && power_factor !== null) {
-        if (pj1203aGetSignedPower(options, x)) {
-            result[`power_${x}`] = sign * power;
-            result[`energy_flow_${x}`] = "sign";
-        } else {
-            result[`power_${x}`] = power;
-            result[`energy_flow_${x}`] = sign > 0 ? "consuming" : "producing";
-        }
-        result[`timestamp_${x}`] = priv[`timestamp_${x}`];
-        result[`current_${x}`] = current;
-        result[`power_factor_${x}`] = power_factor;
-        pj1203aRecomputePowerAb(result, priv, options);
-        return true;
+    const peak_time = priv.demand_peak_month_time === null ? null : new Date(priv.demand_peak_month_time);
+    const same_month = peak_time !== null && peak_time.getFullYear() === start.getFullYear() && peak_time.getMonth() === start.getMonth();
+    if (!same_month || average > priv.demand_peak_month) {
+        priv.demand_peak_month = average;
+        priv.demand_peak_month_time = start.toISOString();
+        result.demand_peak_month = priv.demand_peak_month;
+        result.demand_peak_month_time = priv.demand_peak_month_time;
     }
 
-    return false;
+    priv.demand_quarter += PJ1203A_DEMAND_PERIOD;
+    priv.demand_energy = 0;
+    priv.demand_duration = 0;
 }
 
 // When the device does not detect any flow, it stops sending
@@ -221,19 +2143,32 @@ function pj1203aFlushAll(result, x, priv, options) {
 // So if we see a datapoint with current==0 or power==0
 // then we can safely assume that we are in that zero energy state.
 //
+// Both datapoints are zero in the same update so only the first one
+// flushes the zero frame. The second one (less than half update_frequency
+// later) is dropped.
+//
 /**
  * @param {{}} result
  * @param {string} x
  * @param {{ [x: string]: number; }} priv
  * @param {any} options
+ * @param {any} meta
  */
-function pj1203aFlushZero(result, x, priv, options) {
+function pj1203aFlushZero(result, x, priv, options, meta) {
+    const now = Date.now();
+    const update_frequency = meta.state?.update_frequency ?? PJ1203A_DEFAULT_UPDATE_FREQUENCY;
+    if (priv[`zero_frame_time_${x}`] !== null && now - priv[`zero_frame_time_${x}`] < 0.5 * update_frequency * 1000) {
+        priv[`sign_${x}`] = priv[`power_${x}`] = priv[`current_${x}`] = priv[`power_factor_${x}`] = null;
+        pj1203aStopTimer(meta, `frame_${x}`);
+        return;
+    }
+    priv[`zero_frame_time_${x}`] = now;
     priv[`sign_${x}`] = +1;
     priv[`power_${x}`] = 0;
     priv[`timestamp_${x}`] = new Date().toISOString();
     priv[`current_${x}`] = 0;
     priv[`power_factor_${x}`] = 100;
-    pj1203aFlushAll(result, x, priv, options);
+    pj1203aFlushAll(result, x, priv, options, meta);
 }
 // Some times the device sends a single zero value (either power or current).
 // This is most likely a glitch. We flush all values but set them to null
@@ -244,11 +2179,13 @@ function pj1203aFlushZero(result, x, priv, options) {
  * @param {string} x
  * @param {{ [x: string]: number; }} priv
  * @param {any} options
+ * @param {any} meta
  */
-function pj1203aFlushNull(result, x, priv, options) {
+function pj1203aFlushNull(result, x, priv, options, meta) {
+    priv.counters.zero_glitches++;
     priv[`sign_${x}`] = priv[`power_${x}`] = priv[`current_${x}`] = priv[`power_factor_${x}`] = null;
     priv[`timestamp_${x}`] = new Date().toISOString();
-    pj1203aFlushAll(result, x, priv, options);
+    pj1203aFlushAll(result, x, priv, options, meta);
 }
 const pj1203aValueConverters = {
     energy_flow: (/** @type {string} */ x) => {
@@ -256,11 +2193,15 @@ const pj1203aValueConverters = {
             from: (/** @type {number} */ v, /** @type {any} */ meta, /** @type {any} */ options) => {
                 const priv = pj1203aGetPrivateState(meta);
                 const result = {};
-                priv[`sign_${x}`] = v === 1 ? -1 : +1;
-                const late_energy_flow = pj1203aGetLateEnergyFlow(options, x);
-                if (late_energy_flow) {
-                    pj1203aFlushAll(result, x, priv, options);
+                priv[`sign_${x}`] = priv[`raw_sign_${x}`] = v === 1 ? -1 : +1;
+                const infer_energy_flow = pj1203aGetOption(options, "infer_energy_flow_x", x);
+                const late_energy_flow = pj1203aGetLateEnergyFlow(options, x, priv);
+                if (late_energy_flow || infer_energy_flow) {
+                    if (pj1203aFlushAll(result, x, priv, options, meta) && infer_energy_flow) {
+                        result[`energy_flow_source_${x}`] = "energy_flow";
+                    }
                 }
+                pj1203aWatchFrame(x, priv, options, meta);
                 return result;
             },
         };
@@ -275,22 +2216,25 @@ const pj1203aValueConverters = {
 
                 priv[`power_${x}`] = power_x;
                 priv[`timestamp_${x}`] = new Date().toISOString();
+                priv[`last_power_${x}`] = power_x;
+                priv.last_channel = x;
 
                 if (v === 0) {
 
-                    const single_zero_remove = pj1203aGetSingleZeroRemove(options);
+                    const single_zero_remove = pj1203aGetOption(options, "single_zero_remove");
                     if (single_zero_remove && !priv[`zero_power_${x}`]) {
                         meta.logger.debug(`[PJ1203A] power is zero, flushing one time`);
-                        pj1203aFlushNull(result, x, priv, options);
+                        pj1203aFlushNull(result, x, priv, options, meta);
                     }
                     else{
-                        pj1203aFlushZero(result, x, priv, options);
+                        pj1203aFlushZero(result, x, priv, options, meta);
                     }
                     priv[`zero_power_${x}`] = true;
                 }else{
                     priv[`zero_power_${x}`] = false;
                 }
 
+                pj1203aWatchFrame(x, priv, options, meta);
                 return result;
             },
         };
@@ -306,19 +2250,20 @@ const pj1203aValueConverters = {
                 priv[`current_${x}`] = current_x;
 
                 if (v === 0) {
-                    const single_zero_remove = pj1203aGetSingleZeroRemove(options);
+                    const single_zero_remove = pj1203aGetOption(options, "single_zero_remove");
                     if (single_zero_remove && !priv[`zero_current_${x}`]) {
                         meta.logger.debug(`[PJ1203A] current is zero, flushing one time`);
-                        pj1203aFlushNull(result, x, priv, options);
+                        pj1203aFlushNull(result, x, priv, options, meta);
                     }
                     else{
-                        pj1203aFlushZero(result, x, priv, options);
+                        pj1203aFlushZero(result, x, priv, options, meta);
                     }
                     priv[`zero_current_${x}`]= true;
                 }else{
                     priv[`zero_current_${x}`] = false;
                 }
 
+                pj1203aWatchFrame(x, priv, options, meta);
                 return result;
             },
         };
@@ -329,32 +2274,232 @@ const pj1203aValueConverters = {
             from: (/** @type {any} */ v, /** @type {any} */ meta, /** @type {any} */ options) => {
                 const priv = pj1203aGetPrivateState(meta);
                 const result = {};
+
+                // The power factor of a zero frame (see pj1203aFlushZero) was already published.
+                if (priv[`zero_power_${x}`] && priv[`zero_current_${x}`] && v === 100) {
+                    return result;
+                }
+
                 priv[`power_factor_${x}`] = v;
 
-                const late_energy_flow = pj1203aGetLateEnergyFlow(options, x);
-                if (!late_energy_flow) {
-                    pj1203aFlushAll(result, x, priv, options);
+                const late_energy_flow = pj1203aGetLateEnergyFlow(options, x, priv);
+                if (!late_energy_flow && !pj1203aGetOption(options, "infer_energy_flow_x", x)) {
+                    pj1203aFlushAll(result, x, priv, options, meta);
+                }
+                pj1203aWatchFrame(x, priv, options, meta);
+                return result;
+            },
+        };
+    },
+
+    // The energy counters (106 to 109) are published as is (in kWh).
+    // The corrected counters (see pj1203aCorrectEnergy) are published
+    // as energy_*_lifetime and used to re-anchor the integrated energy.
+    energy: (/** @type {string} */ x, /** @type {string} */ direction) => {
+        return {
+            from: (/** @type {number} */ v, /** @type {any} */ meta, /** @type {any} */ options) => {
+                const priv = pj1203aGetPrivateState(meta);
+                const result = {};
+                const energy = v / 100.0;
+                const name = direction === "import" ? `energy_${x}` : `energy_produced_${x}`;
+                result[name] = energy;
+                const previous = priv.energy_raw[name] === null ? null : priv.energy_raw[name] + priv.energy_offsets[name];
+                const corrected = pj1203aCorrectEnergy(result, name, priv, options, meta, energy);
+                if ((pj1203aGetOption(options, "energy_periods") || pj1203aHasEnergyPrices(options)) && previous !== null) {
+                    pj1203aUpdateEnergyPeriods(result, `${direction}_${x}`, priv, options, meta, corrected - previous);
                 }
+                if (pj1203aGetOption(options, "energy_lifetime")) {
+                    result[`${name}_lifetime`] = corrected;
+                }
+                if (pj1203aGetOption(options, "energy_integration")) {
+                    pj1203aAnchorEnergy(result, x, direction, priv, corrected);
+                }
+                pj1203aPublishEnergyNet(result, x, priv);
+                pj1203aCheckEnergyTotals(result, name, priv, meta);
+                return result;
+            },
+        };
+    },
+
+    // The energy totals (1 and 2) are the sums of the channel A and B counters.
+    energy_total: (/** @type {string} */ direction) => {
+        return {
+            from: (/** @type {number} */ v, /** @type {any} */ meta, /** @type {any} */ options) => {
+                const priv = pj1203aGetPrivateState(meta);
+                const result = {};
+                const energy = v / 100.0;
+                const name = direction === "import" ? "energy_ab" : "energy_produced_ab";
+                result[name] = energy;
+                priv.energy_raw[name] = energy;
+                priv.energy_raw_time[name] = Date.now();
+                pj1203aPublishEnergyNet(result, "ab", priv);
+                pj1203aCheckEnergyTotals(result, name, priv, meta);
                 return result;
             },
         };
     },
 
-    // We currently discard the power_ab datapoint
-    // but it is recomputed on the fly to match
-    // the published values of power_a and power_b.
+    // The voltage and the frequency are published as is but they
+    // are also aggregated (see aggregate_interval and aggregate_only).
+    voltage: () => {
+        return {
+            from: (/** @type {number} */ v, /** @type {any} */ meta, /** @type {any} */ options) => {
+                const voltage = v / 10.0;
+                pj1203aAggregate(pj1203aGetPrivateState(meta), options, meta, { voltage });
+                return pj1203aGetAggregateOnly(options) ? {} : { voltage };
+            },
+        };
+    },
+
+    ac_frequency: () => {
+        return {
+            from: (/** @type {number} */ v, /** @type {any} */ meta, /** @type {any} */ options) => {
+                const ac_frequency = v / 100.0;
+                pj1203aAggregate(pj1203aGetPrivateState(meta), options, meta, { ac_frequency });
+                return pj1203aGetAggregateOnly(options) ? {} : { ac_frequency };
+            },
+        };
+    },
+
+    // The power_ab datapoint is not published as is. It is
+    // recomputed on the fly to match the published values of
+    // power_a and power_b.
+    //
+    // It is only used to deduce the sign of the channel of the
+    // current group (see infer_energy_flow_x) and to detect late
+    // energy flow updates (see late_energy_flow_x).
     power_ab: () => {
         return {
             from: (/** @type {any} */ v, /** @type {any} */ meta, /** @type {any} */ options) => {
-                return {};
+                const priv = pj1203aGetPrivateState(meta);
+                const result = {};
+                const x = priv.last_channel;
+                if (x === null) return result;
+                priv.last_channel = null;
+
+                const sign = pj1203aSolveSign(x, v / 10.0, priv);
+                if (sign !== null) {
+                    priv[`known_sign_${x}`] = sign;
+                }
+                if (pj1203aDetectLateEnergyFlow(x, sign, priv, meta)) {
+                    result[`energy_flow_timing_${x}`] = priv[`energy_flow_timing_${x}`];
+                }
+
+                // Only if channel x is still waiting for its sign.
+                if (pj1203aGetOption(options, "infer_energy_flow_x", x) && priv[`power_${x}`] !== null) {
+                    if (sign !== null) {
+                        priv[`sign_${x}`] = sign;
+                        if (pj1203aFlushAll(result, x, priv, options, meta)) {
+                            result[`energy_flow_source_${x}`] = "power_ab";
+                        }
+                    } else {
+                        meta.logger.debug(`[PJ1203A] Cannot deduce the sign of power_${x} from power_ab=${v / 10.0}`);
+                    }
+                }
+                return result;
             },
         };
     },
 };
 
+// The number of identical seq increments needed to learn the seq increment.
+const PJ1203A_SEQ_LEARN_COUNT = 3;
+
+// The number of consecutive unexpected seq values before the seq increment
+// is learned again (e.g. after a device reboot or a wrong guess).
+const PJ1203A_SEQ_RELEARN_MISSES = 8;
+
+// Compute the signed difference between seq and last_seq.
+//
+// The difference is computed modulo 0x10000 and the wrap-around offset is
+// removed when the difference crosses 0xffff. That offset is non-zero on
+// devices that do not wrap exactly (e.g. that skip 0).
+/**
+ * @param {{ [x: string]: any; }} priv
+ * @param {number} seq
+ * @param {number} last_seq
+ */
+function pj1203aSeqDelta(priv, seq, last_seq) {
+    let delta = ((seq - last_seq + 0x8000) & 0xffff) - 0x8000;
+    if (priv.seq_wrap_offset) {
+        if (delta > 0 && seq < last_seq) {
+            delta -= priv.seq_wrap_offset;
+        } else if (delta < 0 && seq > last_seq) {
+            delta += priv.seq_wrap_offset;
+        }
+    }
+    return delta;
+}
+
+// Check the seq of a new message.
+//
+// Return "ok" for the expected message, "duplicate" for a repeated message,
+// "gap" for a missing or re-ordered message and "learning" when the seq
+// increment is not yet known.
+/**
+ * @param {{ [x: string]: any; }} priv
+ * @param {number} seq
+ * @param {any} meta
+ */
+function pj1203aCheckSeq(priv, seq, meta) {
+    const last_seq = priv.last_seq;
+    priv.last_seq = seq;
+
+    if (priv.seq_inc === null) {
+        if (last_seq >= 0) {
+            const delta = (seq - last_seq) & 0xffff;
+            if (delta === priv.seq_learn_delta) {
+                priv.seq_learn_count++;
+            } else if (delta !== 0) {
+                priv.seq_learn_delta = delta;
+                priv.seq_learn_count = 1;
+            }
+            if (priv.seq_learn_count >= PJ1203A_SEQ_LEARN_COUNT) {
+                meta.logger.debug(`[PJ1203A] Learned seq increment ${delta}`);
+                priv.seq_inc = delta;
+                priv.seq_misses = 0;
+            }
+        }
+        return "learning";
+    }
+
+    const delta = pj1203aSeqDelta(priv, seq, last_seq);
+    if (delta === 0) {
+        return "duplicate";
+    }
+    if (delta === priv.seq_inc) {
+        if (seq < last_seq && priv.seq_wrap_offset === null) {
+            priv.seq_wrap_offset = 0;
+        }
+        priv.seq_misses = 0;
+        return "ok";
+    }
+
+    // The first wrap-around is used to learn how the device wraps. The
+    // offset can be up to seq_inc (e.g. 1 when a device with a seq
+    // increment of 1 skips 0).
+    if (seq < last_seq && priv.seq_wrap_offset === null && delta > priv.seq_inc && delta <= 2 * priv.seq_inc) {
+        priv.seq_wrap_offset = delta - priv.seq_inc;
+        meta.logger.debug(`[PJ1203A] Learned seq wrap-around offset ${priv.seq_wrap_offset}`);
+        priv.seq_misses = 0;
+        return "ok";
+    }
+
+    meta.logger.debug(`[PJ1203A] Missing or re-ordered message detected: Got seq=${seq}, expected ${(last_seq + priv.seq_inc) & 0xffff}`);
+    if (++priv.seq_misses >= PJ1203A_SEQ_RELEARN_MISSES) {
+        meta.logger.debug(`[PJ1203A] Too many unexpected seq values. Learning the seq increment again`);
+        priv.seq_inc = null;
+        priv.seq_learn_delta = null;
+        priv.seq_learn_count = 0;
+        priv.seq_wrap_offset = null;
+        priv.seq_misses = 0;
+    }
+    return "gap";
+}
+
 //
 // A customized version of fz.ignore_tuya_set_time
-// that also increases our private 'next_seq' field.
+// that also increases our private 'last_seq' field.
 //
 // This is needed to prevent 'commandMcuSyncTime' from
 // messing up with the detection of missing datapoints (see
@@ -366,15 +2511,118 @@ const pj1203aIgnoreTuyaSetTime = {
     convert: (/** @type {any} */ model, /** @type {any} */ msg, /** @type {any} */ publish, /** @type {any} */ options, /** @type {any} */ meta) => {
         // There is no 'seq' field in the msg payload of 'commandMcuSyncTime'
         // but the device appears to be increasing its internal counter.
+        pj1203aTrace(msg, options, meta);
         const priv = pj1203aGetPrivateState(meta);
-        priv.last_seq += priv.seq_inc;
+        priv.counters.time_syncs++;
+        if (priv.seq_inc === null) {
+            // Restart the learning from the next message.
+            priv.last_seq = -99999;
+        } else {
+            priv.last_seq = (priv.last_seq + priv.seq_inc) & 0xffff;
+        }
     },
 };
 
+// How long messages can be held in the reorder buffer.
+const PJ1203A_REORDER_TIMEOUT = 1000; // in ms
+
+//
+// Detect missing or reordered messages and process the datapoints
+// with tuya.fz.datapoints.
+//
+/**
+ * @param {any} model
+ * @param {any} msg
+ * @param {any} publish
+ * @param {any} options
+ * @param {any} meta
+ */
+function pj1203aProcessDatapoints(model, msg, publish, options, meta) {
+    const result = {};
+    const priv = pj1203aGetPrivateState(meta);
+
+    // Detect missing or re-ordered messages but allow duplicate messages (should we?).
+    // The pending attributes are also cleared while the seq increment is learned.
+    const seq_status = pj1203aCheckSeq(priv, msg.data.seq, meta);
+    if (seq_status === "gap") {
+        priv.counters.sequence_gaps++;
+        // The moving averages restart (see smoothing_x)
+        priv.smoothing_samples_a = [];
+        priv.smoothing_samples_b = [];
+        priv.smoothing_average_a = null;
+        priv.smoothing_average_b = null;
+    } else if (seq_status === "duplicate") {
+        priv.counters.duplicate_messages++;
+    }
+    if (seq_status === "gap" || seq_status === "learning") {
+        // Clear all pending attributes since we cannot insure that they match
+        priv.sign_a = null;
+        priv.sign_b = null;
+        priv.power_a = null;
+        priv.power_b = null;
+        priv.current_a = null;
+        priv.current_b = null;
+        priv.power_factor_a = null;
+        priv.power_factor_b = null;
+
+        priv.zero_power_a = null;
+        priv.zero_power_b = null;
+        priv.zero_current_a = null;
+        priv.zero_current_b = null;
+
+        priv.last_channel = null;
+        priv.raw_sign_a = null;
+        priv.raw_sign_b = null;
+    }
+
+    // And finally, process the dp with tuya.fz.datapoints
+    Object.assign(result, _fz.datapoints.convert(model, msg, publish, options, meta));
+
+    // REMINDER: MUST BE REMOVED IN FINAL RELEASE
+    // meta.logger.debug(`[PJ1203A] priv   = ${JSON.stringify(priv)}`);
+    // meta.logger.debug(`[PJ1203A] result = ${JSON.stringify(result)}`);
+
+    return result;
+}
+
+//
+// Process the messages held in the reorder buffer in seq order.
+//
+// Unless force is set, only the messages that directly follow the
+// last processed message are processed. Otherwise, all messages are
+// processed and the missing ones are detected as such.
+//
+/**
+ * @param {any} model
+ * @param {any} publish
+ * @param {any} options
+ * @param {any} meta
+ * @param {boolean} force
+ */
+function pj1203aDrainReorderBuffer(model, publish, options, meta, force) {
+    const priv = pj1203aGetPrivateState(meta);
+    const buffer = pj1203aGetRuntime(meta).reorder_buffer;
+    const result = {};
+
+    buffer.sort((m1, m2) => pj1203aSeqDelta(priv, m1.data.seq, priv.last_seq) - pj1203aSeqDelta(priv, m2.data.seq, priv.last_seq));
+    while (buffer.length > 0) {
+        if (!force && pj1203aSeqDelta(priv, buffer[0].data.seq, priv.last_seq) !== priv.seq_inc) break;
+        Object.assign(result, pj1203aProcessDatapoints(model, buffer.shift(), publish, options, meta));
+    }
+
+    if (buffer.length === 0) {
+        pj1203aStopTimer(meta, "reorder");
+    }
+    return result;
+}
+
 //
 // This is basically tuya.fz.datapoints extended to detect missing
 // or reordered messages.
 //
+// When reorder_window is set, the messages that arrive too early are
+// held for a short time while waiting for the missing messages.
+//
 const pj1203aFzDatapoints = {
      ..._fz.datapoints,
 
@@ -385,37 +2633,47 @@ const pj1203aFzDatapoints = {
         // when random messages are lost
         // if ( Math.random() < 0.05 ) return ;
 
+        pj1203aTrace(msg, options, meta);
         const priv = pj1203aGetPrivateState(meta);
+        const runtime = pj1203aGetRuntime(meta);
+        const buffer = runtime.reorder_buffer;
+        runtime.publish = publish;
+        priv.counters.messages_received++;
+        const reorder_window = pj1203aGetOption(options, "reorder_window");
 
-        // Detect missing or re-ordered messages but allow duplicate messages (should we?).
-        const expected_seq = (priv.last_seq + priv.seq_inc) & 0xffff;
-        if (msg.data.seq !== expected_seq && msg.data.seq !== priv.last_seq) {
-            meta.logger.debug(`[PJ1203A] Missing or re-ordered message detected: Got seq=${msg.data.seq}, expected ${priv.next_seq}`);
-            // Clear all pending attributes since we cannot insure that they match
-            priv.sign_a = null;
-            priv.sign_b = null;
-            priv.power_a = null;
-            priv.power_b = null;
-            priv.current_a = null;
-            priv.current_b = null;
-            priv.power_factor_a = null;
-            priv.power_factor_b = null;
+        if (reorder_window > 0 && priv.seq_inc !== null && priv.last_seq >= 0) {
+            const steps = pj1203aSeqDelta(priv, msg.data.seq, priv.last_seq) / priv.seq_inc;
 
-            priv.zero_power_a = null;
-            priv.zero_power_b = null;
-            priv.zero_current_a = null;
-            priv.zero_current_b = null;
-        }
+            if (Number.isInteger(steps) && steps < 0 && steps >= -(reorder_window + 1)) {
+                // Too late. That message was already considered as missing.
+                meta.logger.debug(`[PJ1203A] Discarding late message seq=${msg.data.seq}`);
+                priv.counters.reordered_messages++;
+                return result;
+            }
 
-        priv.last_seq = msg.data.seq;
+            if (Number.isInteger(steps) && steps >= 2 && steps <= reorder_window + 1 && buffer.length < reorder_window) {
+                if (!buffer.some((m) => m.data.seq === msg.data.seq)) {
+                    buffer.push(msg);
+                    priv.counters.reordered_messages++;
+                }
+                if (buffer.length === 1) {
+                    pj1203aStartTimer(meta, "reorder", PJ1203A_REORDER_TIMEOUT, () => {
+                        pj1203aPublishLater(meta, options, pj1203aDrainReorderBuffer(model, publish, options, meta, true));
+                    });
+                }
+                return result;
+            }
 
-        // And finally, process the dp with tuya.fz.datapoints
-        Object.assign(result, _fz.datapoints.convert(model, msg, publish, options, meta));
+            if (steps !== 1) {
+                // The held messages cannot be reordered anymore.
+                Object.assign(result, pj1203aDrainReorderBuffer(model, publish, options, meta, true));
+            }
+        }
 
-        // REMINDER: MUST BE REMOVED IN FINAL RELEASE
-        // meta.logger.debug(`[PJ1203A] priv   = ${JSON.stringify(priv)}`);
-        // meta.logger.debug(`[PJ1203A] result = ${JSON.stringify(result)}`);
+        Object.assign(result, pj1203aProcessDatapoints(model, msg, publish, options, meta));
+        Object.assign(result, pj1203aDrainReorderBuffer(model, publish, options, meta, false));
 
+        pj1203aAddDiagnostics(result, priv, options);
         return result;
     },
 };
@@ -451,7 +2709,65 @@ const definition = {
         pj1203aOptions.late_energy_flow("b"),
         pj1203aOptions.signed_power("a"),
         pj1203aOptions.signed_power("b"),
+        pj1203aOptions.channel_role("a"),
+        pj1203aOptions.channel_role("b"),
+        pj1203aOptions.surplus_detection(),
+        pj1203aOptions.surplus_window(),
+        pj1203aOptions.surplus_on_threshold(),
+        pj1203aOptions.surplus_off_threshold(),
+        pj1203aOptions.surplus_min_on_time(),
+        pj1203aOptions.surplus_min_off_time(),
+        pj1203aOptions.demand_source(),
+        pj1203aOptions.import_export_power("a"),
+        pj1203aOptions.import_export_power("b"),
+        pj1203aOptions.outlier_filter("a"),
+        pj1203aOptions.outlier_filter("b"),
+        pj1203aOptions.outlier_power_step("a"),
+        pj1203aOptions.outlier_power_step("b"),
+        pj1203aOptions.outlier_current_step("a"),
+        pj1203aOptions.outlier_current_step("b"),
+        pj1203aOptions.outlier_power_factor_step("a"),
+        pj1203aOptions.outlier_power_factor_step("b"),
+        pj1203aOptions.smoothing("a"),
+        pj1203aOptions.smoothing("b"),
+        pj1203aOptions.smoothing_frames("a"),
+        pj1203aOptions.smoothing_frames("b"),
+        pj1203aOptions.smoothing_replace("a"),
+        pj1203aOptions.smoothing_replace("b"),
+        pj1203aOptions.deadband_power("a"),
+        pj1203aOptions.deadband_power("b"),
+        pj1203aOptions.deadband_current("a"),
+        pj1203aOptions.deadband_current("b"),
+        pj1203aOptions.direction_debounce_frames("a"),
+        pj1203aOptions.direction_debounce_frames("b"),
+        pj1203aOptions.direction_debounce_power("a"),
+        pj1203aOptions.direction_debounce_power("b"),
+        pj1203aOptions.infer_energy_flow("a"),
+        pj1203aOptions.infer_energy_flow("b"),
         pj1203aOptions.single_zero_remove(),
+        pj1203aOptions.reorder_window(),
+        pj1203aOptions.missing_data_behavior(),
+        pj1203aOptions.stale_periods(),
+        pj1203aOptions.stale_nullify(),
+        pj1203aOptions.aggregate_interval(),
+        pj1203aOptions.aggregate_only(),
+        ...["power", "current", "power_factor"].flatMap((group) => [
+            pj1203aOptions.throttle_min_interval(group),
+            pj1203aOptions.throttle_min_change(group),
+            pj1203aOptions.throttle_min_change_percent(group),
+            pj1203aOptions.throttle_max_interval(group),
+        ]),
+        pj1203aOptions.diagnostics(),
+        pj1203aOptions.energy_integration(),
+        pj1203aOptions.energy_lifetime(),
+        pj1203aOptions.energy_periods(),
+        pj1203aOptions.tariff_schedule(),
+        pj1203aOptions.import_price(),
+        pj1203aOptions.import_price("peak"),
+        pj1203aOptions.import_price("offpeak"),
+        pj1203aOptions.export_price(),
+        pj1203aOptions.daily_charge(),
+        pj1203aOptions.trace(),
     ],
     exposes: [
         // Note: A and B are are not really phases (as in 3-phases). They are independant channels.
@@ -464,12 +2780,197 @@ const definition = {
         _exposes.powerFactorWithPhase("b"),
         _exposes.energyFlowWithPhase("a", ["sign"]),
         _exposes.energyFlowWithPhase("b", ["sign"]),
+        e
+            .numeric("power_house", ea.STATE)
+            .withUnit("W")
+            .withDescription("House consumption (see channel_role_x)"),
+        e
+            .numeric("power_self_consumed", ea.STATE)
+            .withUnit("W")
+            .withDescription("Solar production consumed by the house (see channel_role_x)"),
+        e
+            .numeric("power_grid_export", ea.STATE)
+            .withUnit("W")
+            .withDescription("Power exported to the grid (see channel_role_x)"),
+        e
+            .numeric("self_sufficiency", ea.STATE)
+            .withUnit("%")
+            .withDescription("Part of the house consumption that is not imported from the grid (see channel_role_x)"),
+        e
+            .numeric("surplus_power", ea.STATE)
+            .withUnit("W")
+            .withDescription("Average power exported to the grid (see surplus_detection)"),
+        e
+            .binary("surplus_available", ea.STATE, true, false)
+            .withDescription("Indicates that enough surplus power is available (see surplus_detection)"),
+        e
+            .numeric("demand_average", ea.STATE)
+            .withUnit("W")
+            .withDescription("Average import power of the current quarter hour (see demand_source)"),
+        e
+            .numeric("demand_prediction", ea.STATE)
+            .withUnit("W")
+            .withDescription("Predicted average import power at the end of the current quarter hour (see demand_source)"),
+        e
+            .numeric("demand_last_quarter", ea.STATE)
+            .withUnit("W")
+            .withDescription("Average import power of the last quarter hour (see demand_source)"),
+        e
+            .numeric("demand_peak_month", ea.STATE)
+            .withUnit("W")
+            .withDescription("Highest quarter-hour average import power of the month (see demand_source)"),
+        e
+            .text("demand_peak_month_time", ea.STATE)
+            .withDescription("Start of the quarter hour of demand_peak_month (see demand_source)"),
+        ...["power_a", "power_b", "current_a", "current_b", "power_factor_a", "power_factor_b", "voltage", "ac_frequency"].flatMap((name) =>
+            ["min", "mean", "max"].map((stat) =>
+                e
+                    .numeric(`${name}_${stat}`, ea.STATE)
+                    .withUnit(PJ1203A_AGGREGATE_UNITS[name.replace(/_[ab]$/, "")])
+                    .withDescription(`${stat === "mean" ? "Mean" : stat === "min" ? "Minimum" : "Maximum"} of ${name} during the last interval (see aggregate_interval)`),
+            ),
+        ),
+        ...["a", "b"].map((x) =>
+            e
+                .numeric(`aggregate_samples_${x}`, ea.STATE)
+                .withDescription(`Number of frames of channel ${x.toUpperCase()} during the last interval (see aggregate_interval)`),
+        ),
+        ...["a", "b"].flatMap((x) => [
+            e
+                .numeric(`power_${x}_avg`, ea.STATE)
+                .withUnit("W")
+                .withDescription(`Average power ${x.toUpperCase()} (see smoothing_x)`),
+            e
+                .numeric(`current_${x}_avg`, ea.STATE)
+                .withUnit("A")
+                .withDescription(`Average current ${x.toUpperCase()} (see smoothing_x)`),
+            e
+                .numeric(`power_factor_${x}_avg`, ea.STATE)
+                .withUnit("%")
+                .withDescription(`Average power factor ${x.toUpperCase()} (see smoothing_x)`),
+        ]),
+        ...["a", "b", "ab"].flatMap((x) => [
+            e
+                .numeric(`power_import_${x}`, ea.STATE)
+                .withUnit("W")
+                .withDescription(`Imported power ${x.toUpperCase()} (see import_export_power_x)`),
+            e
+                .numeric(`power_export_${x}`, ea.STATE)
+                .withUnit("W")
+                .withDescription(`Exported power ${x.toUpperCase()} (see import_export_power_x)`),
+        ]),
+        e
+            .enum("energy_flow_source_a", ea.STATE, ["power_ab", "energy_flow"])
+            .withDescription("How the energy flow direction of channel A was obtained (see infer_energy_flow_A)"),
+        e
+            .enum("energy_flow_source_b", ea.STATE, ["power_ab", "energy_flow"])
+            .withDescription("How the energy flow direction of channel B was obtained (see infer_energy_flow_B)"),
+        e
+            .enum("energy_flow_timing_a", ea.STATE, ["unknown", "late", "on_time"])
+            .withCategory("diagnostic")
+            .withDescription("Detected timing of the energy flow A updates (see late_energy_flow_A)"),
+        e
+            .enum("energy_flow_timing_b", ea.STATE, ["unknown", "late", "on_time"])
+            .withCategory("diagnostic")
+            .withDescription("Detected timing of the energy flow B updates (see late_energy_flow_B)"),
         _exposes.energyWithPhase("a"),
         _exposes.energyWithPhase("b"),
         _exposes.energyProducedWithPhase("a"),
         _exposes.energyProducedWithPhase("b"),
+        e
+            .numeric("energy_ab", ea.STATE)
+            .withUnit("kWh")
+            .withDescription("Sum of energy A and energy B"),
+        e
+            .numeric("energy_produced_ab", ea.STATE)
+            .withUnit("kWh")
+            .withDescription("Sum of produced energy A and produced energy B"),
+        e
+            .numeric("energy_net_a", ea.STATE)
+            .withUnit("kWh")
+            .withDescription("Energy A minus produced energy A"),
+        e
+            .numeric("energy_net_b", ea.STATE)
+            .withUnit("kWh")
+            .withDescription("Energy B minus produced energy B"),
+        e
+            .numeric("energy_net_ab", ea.STATE)
+            .withUnit("kWh")
+            .withDescription("Energy AB minus produced energy AB"),
+        e
+            .binary("energy_ab_mismatch", ea.STATE, true, false)
+            .withCategory("diagnostic")
+            .withDescription("Indicates that energy_ab does not match energy_a + energy_b"),
+        e
+            .binary("energy_produced_ab_mismatch", ea.STATE, true, false)
+            .withCategory("diagnostic")
+            .withDescription("Indicates that energy_produced_ab does not match energy_produced_a + energy_produced_b"),
+        ...pj1203aEnergyCounters.map((name) =>
+            e
+                .numeric(`${name}_lifetime`, ea.STATE)
+                .withUnit("kWh")
+                .withDescription(`Counter ${name} corrected to never go backward (see energy_lifetime)`),
+        ),
+        e
+            .text("energy_correction", ea.STATE)
+            .withCategory("diagnostic")
+            .withDescription("Last correction applied to the energy counters (see energy_lifetime)"),
+        e
+            .numeric("energy_import_a", ea.STATE)
+            .withUnit("kWh")
+            .withDescription("Imported energy A integrated between the energy updates (see energy_integration)"),
+        e
+            .numeric("energy_import_b", ea.STATE)
+            .withUnit("kWh")
+            .withDescription("Imported energy B integrated between the energy updates (see energy_integration)"),
+        e
+            .numeric("energy_export_a", ea.STATE)
+            .withUnit("kWh")
+            .withDescription("Exported energy A integrated between the energy updates (see energy_integration)"),
+        e
+            .numeric("energy_export_b", ea.STATE)
+            .withUnit("kWh")
+            .withDescription("Exported energy B integrated between the energy updates (see energy_integration)"),
+        ...pj1203aEnergyPeriodNames().map((name) => {
+            const [, direction, x, period, tariff] = name.split("_");
+            return e
+                .numeric(name, ea.STATE)
+                .withUnit("kWh")
+                .withDescription(
+                    `${direction === "import" ? "Imported" : "Exported"} energy ${x.toUpperCase()} ${period === "today" || period === "yesterday" ? period : `this ${period}`}${tariff ? ` (${tariff})` : ""} (see energy_periods)`,
+                );
+        }),
+        ...pj1203aEnergyCostNames().map((name) => {
+            const [, kind, x, period] = name.split("_");
+            return e
+                .numeric(name, ea.STATE)
+                .withDescription(
+                    `${kind === "cost" ? "Cost of the imported" : "Revenue of the exported"} energy ${x.toUpperCase()} ${period === "today" ? "today" : "this month"} (see ${kind === "cost" ? "import_price" : "export_price"})`,
+                );
+        }),
+        e
+            .numeric("energy_cost_net_today", ea.STATE)
+            .withDescription("Net energy cost of today including the daily charge (see import_price)"),
+        e
+            .numeric("energy_cost_net_month", ea.STATE)
+            .withDescription("Net energy cost of this month including the daily charges (see import_price)"),
+        e
+            .text("energy_periods_updated", ea.STATE)
+            .withDescription("Last update of the energy periods (see energy_periods)"),
         e.ac_frequency(),
         e.voltage(),
+        e
+            .binary("frame_incomplete_a", ea.STATE, true, false)
+            .withDescription("Indicates that the last frame of channel A was incomplete (see missing_data_behavior)"),
+        e
+            .binary("frame_incomplete_b", ea.STATE, true, false)
+            .withDescription("Indicates that the last frame of channel B was incomplete (see missing_data_behavior)"),
+        e
+            .binary("stale_a", ea.STATE, true, false)
+            .withDescription("Indicates that no complete frame was received recently on channel A (see stale_periods)"),
+        e
+            .binary("stale_b", ea.STATE, true, false)
+            .withDescription("Indicates that no complete frame was received recently on channel B (see stale_periods)"),
         // Timestamp a and b are basically equivalent to last_seen
         // but they indicate when the unsigned value of power_a and power_b
         // were received. They can be several seconds in the past when
@@ -480,6 +2981,14 @@ const definition = {
         e
             .numeric("timestamp_b", ea.STATE)
             .withDescription("Timestamp of power B measure"),
+        ...Object.entries(pj1203aDiagnosticCounters).map(([name, description]) =>
+            e.numeric(name, ea.STATE).withCategory("diagnostic").withDescription(description),
+        ),
+        e
+            .numeric("data_quality", ea.STATE)
+            .withUnit("%")
+            .withCategory("diagnostic")
+            .withDescription("Percentage of complete frames"),
         e
             .numeric("update_frequency", ea.STATE_SET)
             .withUnit("s")
@@ -520,8 +3029,8 @@ const definition = {
     ],
     meta: {
         tuyaDatapoints: [
-            [111, "ac_frequency", valueConverter.divideBy100],
-            [112, "voltage", valueConverter.divideBy10],
+            [111, null, pj1203aValueConverters.ac_frequency()], // ac_frequency
+            [112, null, pj1203aValueConverters.voltage()], // voltage
             [101, null, pj1203aValueConverters.power("a")], // power_a
             [105, null, pj1203aValueConverters.power("b")], // power_b
             [113, null, pj1203aValueConverters.current("a")], // current_a
@@ -531,10 +3040,12 @@ const definition = {
             [102, null, pj1203aValueConverters.energy_flow("a")], // energy_flow_a or the sign of power_a
             [104, null, pj1203aValueConverters.energy_flow("b")], // energy_flow_b or the sign of power_b
             [115, null, pj1203aValueConverters.power_ab()],
-            [106, "energy_a", valueConverter.divideBy100],
-            [108, "energy_b", valueConverter.divideBy100],
-            [107, "energy_produced_a", valueConverter.divideBy100],
-            [109, "energy_produced_b", valueConverter.divideBy100],
+            [106, null, pj1203aValueConverters.energy("a", "import")], // energy_a
+            [108, null, pj1203aValueConverters.energy("b", "import")], // energy_b
+            [107, null, pj1203aValueConverters.energy("a", "export")], // energy_produced_a
+            [109, null, pj1203aValueConverters.energy("b", "export")], // energy_produced_b
+            [1, null, pj1203aValueConverters.energy_total("import")], // energy_ab
+            [2, null, pj1203aValueConverters.energy_total("export")], // energy_produced_ab
             [129, "update_frequency", valueConverter.raw],
             //[116, 'calibration_voltage', tuya.valueConverter.divideBy1000],
             //[117, 'calibration_current_a', tuya.valueConverter.divideBy1000],
@@ -0,0 +1,83 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createDevice } from "./helpers.mjs";
+
+const GROUP = { flow: 0, power: 500, current: 1000, power_factor: 90 };
+
+test("diagnostics publishes the counters with each result", (t) => {
+    const device = createDevice(t, { options: { diagnostics: true } });
+    device.group("a", GROUP);
+    // The 4 learning messages and the group
+    assert.equal(device.last("messages_received"), 10);
+    assert.equal(device.last("frames_complete_a"), 1);
+    assert.equal(device.last("frames_dropped_a"), 0);
+    assert.equal(device.last("sequence_gaps"), 0);
+    assert.equal(device.last("data_quality"), 100);
+});
+
+test("the counters are not published by default", (t) => {
+    const device = createDevice(t);
+    device.group("a", GROUP);
+    assert.equal(device.last("messages_received"), undefined);
+    assert.equal(device.last("data_quality"), undefined);
+});
+
+test("diagnostics counts the gaps and the dropped frames", (t) => {
+    const device = createDevice(t, { options: { diagnostics: true } });
+    device.group("a", GROUP);
+    device.send(102, 0);
+    device.send(112, 2300);
+    device.skip(); // current_a
+    device.send(101, 500);
+    device.send(110, 90);
+    device.advance(5000);
+    assert.equal(device.last("sequence_gaps"), 1);
+    device.group("a", GROUP);
+    device.group("a", GROUP);
+    assert.equal(device.last("frames_complete_a"), 3);
+    assert.equal(device.last("frames_dropped_a"), 1);
+    assert.equal(device.last("data_quality"), 75);
+});
+
+test("diagnostics counts the duplicate messages", (t) => {
+    const device = createDevice(t, { options: { diagnostics: true } });
+    const voltage = device.message(112, 2300);
+    device.deliver(voltage);
+    device.deliver(voltage);
+    assert.equal(device.last("duplicate_messages"), 1);
+    assert.equal(device.last("sequence_gaps"), 0);
+});
+
+test("diagnostics counts the reordered messages", (t) => {
+    const device = createDevice(t, { options: { diagnostics: true, reorder_window: 2 } });
+    const voltage = device.message(112, 2300);
+    device.deliver(device.message(111, 5000));
+    device.deliver(voltage);
+    assert.equal(device.last("reordered_messages"), 1);
+    assert.equal(device.last("sequence_gaps"), 0);
+});
+
+test("diagnostics counts the zero glitches", (t) => {
+    const device = createDevice(t, { options: { diagnostics: true, single_zero_remove: true } });
+    device.group("a", GROUP);
+    device.group("a", { ...GROUP, power: 0 });
+    device.group("a", GROUP);
+    assert.equal(device.last("zero_glitches"), 1);
+});
+
+test("diagnostics counts the time synchronizations", (t) => {
+    const device = createDevice(t, { options: { diagnostics: true } });
+    device.sync();
+    device.sync();
+    device.send(112, 2300);
+    assert.equal(device.last("time_syncs"), 2);
+    assert.equal(device.last("sequence_gaps"), 0);
+});
+
+test("the complete frames are counted when they are throttled", (t) => {
+    const device = createDevice(t, { options: { diagnostics: true, throttle_power_min_interval: 300, throttle_current_min_interval: 300, throttle_power_factor_min_interval: 300 } });
+    for (let i = 0; i < 4; i++) device.group("a", GROUP);
+    assert.equal(device.values("power_a").length, 1);
+    assert.equal(device.last("frames_complete_a"), 4);
+    assert.equal(device.last("data_quality"), 100);
+});
@@ -0,0 +1,347 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createDevice } from "./helpers.mjs";
+
+/**
+ * Send one update of channel A (channel B is not used).
+ *
+ * @param {any} device
+ * @param {number} power The signed power (in W)
+ */
+function update(device, power) {
+    device.group("a", {
+        flow: power < 0 ? 1 : 0,
+        power: Math.abs(power * 10),
+        current: Math.round((Math.abs(power) / 207) * 1000),
+        power_factor: 90,
+    });
+    device.advance(10000 - 300);
+}
+
+/**
+ * The last published value of an energy rounded to the Wh (the
+ * datapoints sent between the updates add a few ms).
+ *
+ * @param {any} device
+ * @param {string} name
+ */
+function energy(device, name) {
+    const value = device.last(name);
+    return value === undefined ? undefined : Math.round(value * 1000) / 1000;
+}
+
+test("the power is integrated between the energy updates", (t) => {
+    const device = createDevice(t, { options: { energy_integration: true } });
+
+    update(device, 3600);
+    assert.equal(energy(device, "energy_import_a"), undefined);
+
+    device.send(106, 1000); // 10 kWh
+    device.send(107, 200); // 2 kWh
+    assert.equal(device.last("energy_a"), 10);
+    assert.equal(energy(device, "energy_import_a"), 10);
+    assert.equal(energy(device, "energy_export_a"), 2);
+
+    // 3600 W during 10 s is 0.01 kWh
+    update(device, 3600);
+    assert.equal(energy(device, "energy_import_a"), 10.01);
+    update(device, -3600);
+    assert.equal(energy(device, "energy_export_a"), 2.01);
+    assert.equal(energy(device, "energy_import_a"), 10.01);
+});
+
+test("the integrated energy never goes backward", (t) => {
+    const device = createDevice(t, { options: { energy_integration: true } });
+    device.send(106, 1000);
+    update(device, 3600);
+    update(device, 3600);
+    update(device, 3600);
+    assert.equal(energy(device, "energy_import_a"), 10.02);
+
+    // The device counter is behind the integration.
+    const published = device.values("energy_import_a").length;
+    device.send(106, 1000);
+    update(device, 3600);
+    assert.equal(device.values("energy_import_a").length, published);
+
+    // And ahead of it.
+    device.send(106, 1005);
+    assert.equal(energy(device, "energy_import_a"), 10.05);
+});
+
+test("the integrated energy is restored after a restart", (t) => {
+    const device = createDevice(t, { options: { energy_integration: true }, state: { energy_import_a: 12.345 } });
+    update(device, 3600);
+    update(device, 3600);
+    assert.equal(energy(device, "energy_import_a"), 12.355);
+});
+
+test("the energy is integrated with the measured direction while a flip is debounced", (t) => {
+    const device = createDevice(t, { options: { energy_integration: true, direction_debounce_frames_A: 3 } });
+    device.send(106, 1000);
+    device.send(107, 200);
+    update(device, 3600);
+    update(device, 3600);
+    assert.equal(energy(device, "energy_import_a"), 10.01);
+    update(device, -3600);
+    update(device, -3600);
+    assert.equal(device.last("energy_flow_a"), "consuming");
+    assert.equal(device.priv.counters.suppressed_flips_a, 2);
+    assert.equal(energy(device, "energy_import_a"), 10.01);
+    assert.equal(energy(device, "energy_export_a"), 2.02);
+});
+
+test("the energy is not integrated by default", (t) => {
+    const device = createDevice(t);
+    device.send(106, 1000);
+    update(device, 3600);
+    update(device, 3600);
+    assert.equal(device.last("energy_a"), 10);
+    assert.equal(energy(device, "energy_import_a"), undefined);
+});
+
+test("a decrease of an energy counter is compensated", (t) => {
+    const device = createDevice(t, { options: { energy_lifetime: true } });
+    device.send(106, 2000000);
+    device.advance(360000);
+    device.send(106, 2000100);
+    assert.equal(device.last("energy_a_lifetime"), 20001);
+    device.advance(360000);
+    device.send(106, 50); // reset
+    assert.equal(device.last("energy_a"), 0.5);
+    assert.equal(device.last("energy_a_lifetime"), 20001);
+    assert.equal(device.last("energy_correction"), "energy_a decrease from 20001 to 0.5 kWh");
+    assert.equal(device.priv.counters.energy_corrections, 1);
+    device.advance(360000);
+    device.send(106, 150);
+    assert.equal(device.last("energy_a_lifetime"), 20002);
+});
+
+test("an implausible jump of an energy counter is compensated", (t) => {
+    const device = createDevice(t, { options: { energy_lifetime: true } });
+    device.send(107, 2000000);
+    device.advance(360000);
+    // 80 A at 260 V during 6 minutes is about 2 kWh
+    device.send(107, 2000200);
+    assert.equal(device.last("energy_produced_a_lifetime"), 20002);
+    device.advance(360000);
+    device.send(107, 2600260); // calibration changed to 1.3
+    assert.equal(device.last("energy_produced_a_lifetime"), 20002);
+    assert.equal(device.last("energy_correction"), "energy_produced_a jump from 20002 to 26002.6 kWh");
+    device.advance(360000);
+    device.send(107, 2600300);
+    assert.equal(device.last("energy_produced_a_lifetime"), 20002.4);
+});
+
+test("the energy offsets are restored after a restart", (t) => {
+    const device = createDevice(t, { options: { energy_lifetime: true }, state: { energy_b: 1, energy_b_lifetime: 101 } });
+    device.send(108, 50); // decreased while Z2M was stopped
+    assert.equal(device.last("energy_b_lifetime"), 101);
+    device.advance(360000);
+    device.send(108, 80);
+    assert.equal(device.last("energy_b_lifetime"), 101.3);
+});
+
+test("a jump is accepted after a restart", (t) => {
+    // The time since the last counter is unknown.
+    const device = createDevice(t, { options: { energy_lifetime: true }, state: { energy_b: 1, energy_b_lifetime: 101 } });
+    device.send(108, 1100);
+    assert.equal(device.last("energy_b_lifetime"), 111);
+});
+
+test("the energy totals and the net energies are published", (t) => {
+    const device = createDevice(t);
+    device.send(106, 1234);
+    device.send(107, 234);
+    device.send(108, 500);
+    device.send(109, 0);
+    device.send(1, 1735);
+    device.send(2, 234);
+    assert.equal(device.last("energy_net_a"), 10);
+    assert.equal(device.last("energy_net_b"), 5);
+    assert.equal(device.last("energy_ab"), 17.35);
+    assert.equal(device.last("energy_produced_ab"), 2.34);
+    assert.equal(device.last("energy_net_ab"), 15.01);
+    assert.equal(device.last("energy_ab_mismatch"), false);
+    assert.equal(device.last("energy_produced_ab_mismatch"), false);
+
+    // Only compared with the counters received at the same time
+    device.advance(360000);
+    device.send(1, 1800);
+    assert.equal(device.values("energy_ab_mismatch").length, 1);
+    device.send(106, 1300);
+    device.send(108, 500);
+    assert.equal(device.last("energy_ab_mismatch"), false);
+    device.advance(360000);
+    device.send(106, 1400);
+    device.send(108, 600);
+    device.send(1, 1900);
+    assert.equal(device.last("energy_ab_mismatch"), true);
+});
+
+test("the energy periods are derived from the corrected counters", (t) => {
+    const device = createDevice(t, { options: { energy_periods: true } });
+    device.send(106, 1000);
+    assert.equal(device.last("energy_import_a_today"), undefined);
+    device.advance(360000);
+    device.send(106, 1050);
+    device.send(107, 20);
+    assert.equal(device.last("energy_import_a_today"), 0.5);
+    assert.equal(device.last("energy_import_a_week"), 0.5);
+    assert.equal(device.last("energy_import_a_month"), 0.5);
+    assert.equal(device.last("energy_import_a_today_peak"), undefined);
+    device.advance(360000);
+    device.send(106, 10); // reset
+    device.advance(360000);
+    device.send(106, 30);
+    assert.equal(device.last("energy_import_a_today"), 0.7);
+    assert.equal(device.last("energy_periods_updated"), "2026-01-01T12:18:00.450Z");
+});
+
+test("the energy periods restart at midnight", (t) => {
+    // 2026-01-01 is a thursday
+    const updated = new Date(2025, 11, 31, 23, 50).toISOString();
+    const state = { energy_a: 10, energy_import_a_today: 3, energy_import_a_week: 5, energy_import_a_month: 7, energy_periods_updated: updated };
+    const device = createDevice(t, { options: { energy_periods: true }, state, start: new Date(2026, 0, 1, 12, 0) });
+    device.send(106, 1100);
+    assert.equal(device.last("energy_import_a_yesterday"), 3);
+    assert.equal(device.last("energy_import_a_today"), 1);
+    assert.equal(device.last("energy_import_a_week"), 6);
+    assert.equal(device.last("energy_import_a_month"), 1);
+    assert.equal(device.last("energy_import_b_yesterday"), 0);
+});
+
+test("the energy periods are split with tariff_schedule", (t) => {
+    const options = { energy_periods: true, tariff_schedule: "mon-fri 07:00-13:00; sat,sun 22:00-06:00" };
+    const device = createDevice(t, { options, start: new Date(2026, 0, 1, 12, 0) });
+    device.send(108, 1000);
+    device.advance(360000);
+    device.send(108, 1100); // thursday 12:06
+    device.advance(3600000);
+    device.send(108, 1150); // thursday 13:06
+    assert.equal(device.last("energy_import_b_today"), 1.5);
+    assert.equal(device.last("energy_import_b_today_peak"), 1);
+    assert.equal(device.last("energy_import_b_today_offpeak"), 0.5);
+});
+
+/**
+ * The tariff of 1 kWh imported on channel B at a local date.
+ *
+ * @param {import("node:test").TestContext} t
+ * @param {string} tariff_schedule
+ * @param {Date} date
+ */
+function tariffAt(t, tariff_schedule, date) {
+    const device = createDevice(t, { options: { energy_periods: true, tariff_schedule }, start: new Date(date.getTime() - 360000) });
+    device.send(108, 1000);
+    device.advance(360000 - 300);
+    device.send(108, 1100);
+    assert.equal(device.last("energy_import_b_today"), 1);
+    if (device.last("energy_import_b_today_peak") === 1) return "peak";
+    if (device.last("energy_import_b_today_offpeak") === 1) return "offpeak";
+    return null;
+}
+
+test("the energy periods handle a schedule crossing midnight", (t) => {
+    const schedule = "fri-sat 22:00-06:00";
+    assert.equal(tariffAt(t, schedule, new Date(2026, 0, 2, 23, 0)), "peak"); // friday
+    assert.equal(tariffAt(t, schedule, new Date(2026, 0, 4, 5, 0)), "peak"); // sunday morning
+    assert.equal(tariffAt(t, schedule, new Date(2026, 0, 4, 23, 0)), "offpeak"); // sunday
+    assert.equal(tariffAt(t, schedule, new Date(2026, 0, 2, 5, 0)), "offpeak"); // friday morning
+});
+
+test("the energy periods are not split with an invalid schedule", (t) => {
+    for (const schedule of ["", "weekdays 07:00-22:00", "mon 07:00", "fri 07:75-22:00", "fri 25:00-06:00", "fri 07:00-07:00"]) {
+        assert.equal(tariffAt(t, schedule, new Date(2026, 0, 2, 12, 0)), null, schedule);
+    }
+});
+
+test("an invalid schedule is reported once", (t) => {
+    const device = createDevice(t, { options: { energy_periods: true, tariff_schedule: "sat 08:00-08:00" } });
+    const warnings = [];
+    device.meta.logger.warning = (message) => warnings.push(message);
+    for (let i = 0; i < 3; i++) {
+        device.send(108, 1000 + i * 100);
+        device.advance(360000);
+    }
+    assert.deepEqual(warnings, ["[PJ1203A] Invalid tariff_schedule 'sat 08:00-08:00'"]);
+});
+
+test("the costs and revenues are published with the prices", (t) => {
+    const options = { import_price: 0.3, export_price: 0.05, daily_charge: 0.5 };
+    const device = createDevice(t, { options, start: new Date(2026, 0, 1, 12, 0) });
+    device.send(106, 1000);
+    device.send(107, 500);
+    device.send(108, 200);
+    device.advance(360000);
+    device.send(106, 1200); // 2 kWh
+    device.send(107, 600); // 1 kWh
+    device.send(108, 300); // 1 kWh
+    assert.equal(device.last("energy_cost_a_today"), 0.6);
+    assert.equal(device.last("energy_revenue_a_month"), 0.05);
+    assert.equal(device.last("energy_cost_b_month"), 0.3);
+    assert.equal(device.last("energy_cost_net_today"), 1.35);
+    assert.equal(device.last("energy_cost_net_month"), 1.35);
+    // The periods are not published without energy_periods
+    assert.equal(device.last("energy_import_a_today"), undefined);
+    assert.equal(device.last("energy_periods_updated"), undefined);
+});
+
+/**
+ * Import 1 kWh and then 2 kWh on channel A at 6 minutes intervals, the last
+ * increase being received just after midnight.
+ *
+ * @param {import("node:test").TestContext} t
+ * @param {Date} midnight
+ */
+function importAcrossMidnight(t, midnight) {
+    const options = { import_price: 0.3, daily_charge: 0.5 };
+    const device = createDevice(t, { options, start: new Date(midnight.getTime() - 720000) });
+    device.send(106, 1000);
+    device.advance(360000);
+    device.send(106, 1100);
+    return device;
+}
+
+test("the costs restart at midnight", (t) => {
+    const device = importAcrossMidnight(t, new Date(2026, 0, 2));
+    assert.equal(device.last("energy_cost_a_today"), 0.3);
+    assert.equal(device.last("energy_cost_net_today"), 0.8);
+    assert.equal(device.last("energy_cost_net_month"), 0.8);
+    device.advance(360000);
+    device.send(106, 1300); // friday 00:00
+    assert.equal(device.last("energy_cost_a_today"), 0.6);
+    assert.equal(device.last("energy_cost_a_month"), 0.9);
+    assert.equal(device.last("energy_cost_net_today"), 1.1);
+    // One daily charge for each day of the month
+    assert.equal(device.last("energy_cost_net_month"), 1.9);
+});
+
+test("the costs restart with a new month", (t) => {
+    const device = importAcrossMidnight(t, new Date(2026, 1, 1));
+    assert.equal(device.last("energy_cost_a_month"), 0.3);
+    assert.equal(device.last("energy_cost_net_month"), 15.8);
+    device.advance(360000);
+    device.send(106, 1300); // february 1st 00:00
+    assert.equal(device.last("energy_cost_a_today"), 0.6);
+    assert.equal(device.last("energy_cost_a_month"), 0.6);
+    assert.equal(device.last("energy_cost_net_today"), 1.1);
+    assert.equal(device.last("energy_cost_net_month"), 1.1);
+});
+
+test("the net cost only uses the grid channel", (t) => {
+    const options = { import_price_peak: 0.4, import_price: 0.2, export_price: 0.1, tariff_schedule: "thu 12:00-12:10", channel_role_A: "grid", channel_role_B: "solar" };
+    const state = { energy_cost_a_month: 10, energy_cost_net_month: 10, energy_periods_updated: new Date(2026, 0, 1, 11, 0).toISOString() };
+    const device = createDevice(t, { options, state, start: new Date(2026, 0, 1, 12, 0) });
+    device.send(106, 1000);
+    device.send(109, 1000);
+    device.advance(360000);
+    device.send(106, 1100); // peak
+    device.send(109, 1100);
+    device.advance(360000);
+    device.send(106, 1200); // off-peak
+    assert.equal(device.last("energy_cost_a_today"), 0.6);
+    assert.equal(device.last("energy_cost_a_month"), 10.6);
+    assert.equal(device.last("energy_revenue_b_today"), 0.1);
+    assert.equal(device.last("energy_cost_net_month"), 10.6);
+});
@@ -0,0 +1,465 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createDevice } from "./helpers.mjs";
+
+const GROUP = { flow: 1, power: 1000, current: 500, power_factor: 90 };
+
+test("a complete frame is published once", (t) => {
+    const device = createDevice(t);
+    device.group("a", GROUP);
+    assert.equal(device.last("power_a"), 100);
+    assert.equal(device.last("energy_flow_a"), "producing");
+    assert.equal(device.last("current_a"), 0.5);
+    assert.equal(device.last("power_factor_a"), 90);
+    assert.equal(device.last("timestamp_a"), device.priv.timestamp_a);
+    assert.equal(device.last("frame_incomplete_a"), false);
+    assert.equal(device.priv.counters.frames_complete_a, 1);
+
+    // The pending values are only used once.
+    const priv = device.priv;
+    assert.equal(priv.sign_a, null);
+    assert.equal(priv.power_a, null);
+    assert.equal(priv.current_a, null);
+    assert.equal(priv.power_factor_a, null);
+    assert.equal(device.values("power_a").length, 1);
+});
+
+test("a signed power is published with signed_power", (t) => {
+    const device = createDevice(t, { options: { signed_power_B: true } });
+    device.group("b", GROUP);
+    assert.equal(device.last("power_b"), -100);
+    assert.equal(device.last("energy_flow_b"), "sign");
+});
+
+test("an incomplete frame is not published", (t) => {
+    const device = createDevice(t);
+    device.send(102, 0);
+    device.send(113, 500);
+    assert.deepEqual(device.send(110, 90), { frame_incomplete_a: true });
+    assert.equal(device.priv.counters.frames_dropped_a, 1);
+    assert.equal(device.priv.current_a, null);
+    assert.equal(device.values("power_a").length, 0);
+});
+
+test("a sign alone is not a frame", (t) => {
+    const device = createDevice(t, { options: { late_energy_flow_A: true } });
+    assert.deepEqual(device.send(102, 0), {});
+    assert.equal(device.priv.counters.frames_dropped_a, 0);
+});
+
+test("a zero current publishes a zero frame", (t) => {
+    const device = createDevice(t);
+    device.send(102, 1);
+    device.send(112, 2300);
+    device.send(113, 0);
+    assert.equal(device.last("power_a"), 0);
+    assert.equal(device.last("energy_flow_a"), "consuming");
+    assert.equal(device.last("current_a"), 0);
+    assert.equal(device.last("power_factor_a"), 100);
+    assert.equal(device.last("frame_incomplete_a"), false);
+});
+
+test("single_zero_remove discards the pending values of a zero glitch", (t) => {
+    const device = createDevice(t, { options: { single_zero_remove: true } });
+    device.group("a", GROUP);
+    device.send(102, 0);
+    device.send(112, 2300);
+    device.send(113, 500);
+    assert.deepEqual(device.send(101, 0), {});
+    assert.equal(device.priv.counters.zero_glitches, 1);
+    assert.equal(device.priv.sign_a, null);
+    assert.equal(device.priv.current_a, null);
+    assert.deepEqual(device.values("power_a"), [100]);
+});
+
+test("power_ab is the sum of the published signed powers", (t) => {
+    const device = createDevice(t, { options: { signed_power_B: true } });
+    device.group("a", { ...GROUP, flow: 0, power: 798 });
+    assert.equal(device.last("power_a"), 79.8);
+    assert.equal(device.last("power_ab"), undefined);
+
+    device.group("b", { ...GROUP, power: 371 });
+    assert.equal(device.last("power_ab"), 42.7);
+    device.group("b", { ...GROUP, power: 500 });
+    assert.equal(device.last("power_ab"), 29.8);
+
+    // Only recomputed with a new power
+    assert.equal("power_ab" in device.send(112, 2300), false);
+});
+
+test("power_ab is nullified with a nullified power", (t) => {
+    const device = createDevice(t, { options: { missing_data_behavior: "nullify_all" } });
+    device.group("a", { ...GROUP, flow: 0 });
+    device.group("b", { ...GROUP, flow: 0 });
+    assert.equal(device.last("power_ab"), 200);
+    device.send(102, 0);
+    device.send(113, 500);
+    device.send(110, 90);
+    assert.equal(device.last("power_a"), null);
+    assert.equal(device.last("power_ab"), null);
+    assert.equal(device.priv.pub_power_a, null);
+});
+
+test("a complete group is published", (t) => {
+    const device = createDevice(t);
+    device.group("a", { flow: 0, power: 1234, current: 5678, power_factor: 97, power_ab: 1234 });
+    device.group("b", { power: 0, current: 0, power_factor: 100, power_ab: 1234 });
+
+    assert.equal(device.last("power_a"), 123.4);
+    assert.equal(device.last("energy_flow_a"), "consuming");
+    assert.equal(device.last("current_a"), 5.678);
+    assert.equal(device.last("power_factor_a"), 97);
+    assert.equal(device.last("power_b"), 0);
+    assert.equal(device.last("current_b"), 0);
+    assert.equal(device.last("power_factor_b"), 100);
+    assert.equal(device.last("power_ab"), 123.4);
+});
+
+test("a zero frame is counted once per update", (t) => {
+    const device = createDevice(t);
+    for (let i = 0; i < 5; i++) {
+        device.group("a", { power: 0, current: 0, power_factor: 100 });
+        device.advance(10000);
+    }
+    assert.equal(device.priv.counters.frames_complete_a, 5);
+    assert.equal(device.values("power_a").length, 5);
+    assert.equal(device.last("frame_incomplete_a"), false);
+});
+
+test("import_export_power splits the import and export powers", (t) => {
+    const device = createDevice(t, { options: { import_export_power_A: true, missing_data_behavior: "nullify_all" } });
+    device.group("b", { ...GROUP, flow: 0, power: 300 });
+    device.group("a", GROUP);
+    assert.equal(device.last("power_import_a"), 0);
+    assert.equal(device.last("power_export_a"), 100);
+    assert.equal(device.last("power_ab"), -70);
+    assert.equal(device.last("power_import_ab"), 0);
+    assert.equal(device.last("power_export_ab"), 70);
+
+    // Not enabled on channel B
+    device.group("b", { ...GROUP, flow: 0, power: 2000 });
+    assert.equal(device.values("power_import_b").length, 0);
+    assert.equal(device.last("power_import_ab"), 100);
+    assert.equal(device.last("power_export_ab"), 0);
+
+    device.send(102, 0);
+    device.send(113, 500);
+    device.send(110, 90);
+    assert.equal(device.last("power_import_a"), null);
+    assert.equal(device.last("power_export_a"), null);
+    assert.equal(device.last("power_import_ab"), null);
+});
+
+test("import_export_power works with signed_power", (t) => {
+    const device = createDevice(t, { options: { import_export_power_A: true, signed_power_A: true } });
+    device.group("a", { flow: 1, power: 1234, current: 5678, power_factor: 97 });
+    assert.equal(device.last("power_a"), -123.4);
+    assert.equal(device.last("power_import_a"), 0);
+    assert.equal(device.last("power_export_a"), 123.4);
+});
+
+test("direction_debounce_frames delays a change of direction", (t) => {
+    const device = createDevice(t, { options: { direction_debounce_frames_A: 3, signed_power_A: true } });
+    device.group("a", { flow: 0, power: 50, current: 30, power_factor: 90 });
+    assert.equal(device.last("power_a"), 5);
+    device.group("a", { flow: 1, power: 50, current: 30, power_factor: 90 });
+    assert.equal(device.last("power_a"), 5);
+    device.group("a", { flow: 1, power: 40, current: 30, power_factor: 90 });
+    assert.equal(device.last("power_a"), 4);
+    device.group("a", { flow: 1, power: 40, current: 30, power_factor: 90 });
+    assert.equal(device.last("power_a"), -4);
+    assert.equal(device.priv.counters.suppressed_flips_a, 2);
+});
+
+test("direction_debounce_frames keeps the measured direction for the derived values", (t) => {
+    const options = { direction_debounce_frames_A: 3, signed_power_A: true, signed_power_B: true, import_export_power_A: true };
+    const device = createDevice(t, { options });
+    device.group("a", { flow: 0, power: 50, current: 30, power_factor: 90 });
+    device.group("b", { flow: 0, power: 100, current: 60, power_factor: 90 });
+    device.group("a", { flow: 1, power: 50, current: 30, power_factor: 90 });
+    assert.equal(device.last("power_a"), 5);
+    assert.equal(device.last("power_import_a"), 5);
+    assert.equal(device.last("power_export_a"), 0);
+    assert.equal(device.last("power_ab"), 5);
+    assert.equal(device.priv.pub_power_a, -5);
+});
+
+test("direction_debounce_power accepts a large power immediately", (t) => {
+    const device = createDevice(t, { options: { direction_debounce_frames_A: 5, direction_debounce_power_A: 100 } });
+    device.group("a", { flow: 0, power: 500, current: 300, power_factor: 90 });
+    device.group("a", { flow: 1, power: 500, current: 300, power_factor: 90 });
+    assert.equal(device.last("energy_flow_a"), "consuming");
+    device.group("a", { flow: 1, power: 1500, current: 800, power_factor: 90 });
+    assert.equal(device.last("energy_flow_a"), "producing");
+    assert.equal(device.priv.counters.suppressed_flips_a, 1);
+});
+
+test("deadband_power publishes a zero frame below the noise floor", (t) => {
+    const device = createDevice(t, { options: { deadband_power_A: 2, energy_integration: true } });
+    device.group("b", { flow: 0, power: 1000, current: 483, power_factor: 90 });
+    device.group("a", { flow: 1, power: 15, current: 20, power_factor: 40 });
+    assert.equal(device.last("power_a"), 0);
+    assert.equal(device.last("energy_flow_a"), "consuming");
+    assert.equal(device.last("current_a"), 0);
+    assert.equal(device.last("power_factor_a"), 100);
+    assert.equal(device.last("power_ab"), 100);
+
+    device.group("a", { flow: 1, power: 25, current: 20, power_factor: 40 });
+    assert.equal(device.last("power_a"), 2.5);
+    assert.equal(device.last("energy_flow_a"), "producing");
+});
+
+test("deadband_current publishes a zero frame below the noise floor", (t) => {
+    const device = createDevice(t, { options: { deadband_current_B: 0.05, signed_power_B: true } });
+    device.group("b", { flow: 1, power: 80, current: 40, power_factor: 90 });
+    assert.equal(device.last("power_b"), 0);
+    assert.equal(device.last("current_b"), 0);
+    device.group("b", { flow: 1, power: 80, current: 50, power_factor: 90 });
+    assert.equal(device.last("power_b"), -8);
+});
+
+test("outlier_filter hold replaces a spike by the previous value", (t) => {
+    const device = createDevice(t, { options: { outlier_filter_A: "hold" } });
+    const powers = [10000, 10500, 200000, 10200, 9800, 30000, 30500, 31000];
+    for (const power of powers) {
+        device.group("a", { flow: 0, power, current: Math.round(power / 2.3), power_factor: 95 });
+    }
+    // The real step change is accepted in the third frame.
+    assert.deepEqual(device.values("power_a"), [1000, 1050, 1050, 1020, 980, 980, 980, 3100]);
+    assert.equal(device.priv.counters.outlier_rejections_a, 3);
+});
+
+test("outlier_filter hold rejects two spikes in a row", (t) => {
+    const device = createDevice(t, { options: { outlier_filter_A: "hold" } });
+    const powers = [10000, 10100, 10000, 200000, 205000, 10200, 9900];
+    for (const power of powers) {
+        device.group("a", { flow: 0, power, current: Math.round(power / 2.3), power_factor: 95 });
+    }
+    assert.deepEqual(device.values("power_a"), [1000, 1010, 1000, 1000, 1000, 1020, 990]);
+    assert.equal(device.priv.counters.outlier_rejections_a, 2);
+});
+
+test("outlier_filter hold nullifies an implausible first frame", (t) => {
+    const device = createDevice(t, { options: { outlier_filter_A: "hold" } });
+    device.group("a", { flow: 0, power: 10000, current: 90000, power_factor: 95 });
+    assert.equal(device.last("power_a"), null);
+    device.group("a", { flow: 0, power: 10000, current: 4350, power_factor: 95 });
+    assert.equal(device.last("power_a"), 1000);
+});
+
+test("outlier_filter hold accepts a zero frame after a steady power", (t) => {
+    const device = createDevice(t, { options: { outlier_filter_A: "hold" } });
+    for (let i = 0; i < 4; i++) {
+        device.group("a", { flow: 0, power: 20000, current: 8696, power_factor: 95 });
+    }
+    device.group("a", { power: 0, current: 0, power_factor: 100 });
+    assert.equal(device.last("power_a"), 0);
+    assert.equal(device.last("current_a"), 0);
+    // Switched on again
+    device.group("a", { flow: 0, power: 20000, current: 8696, power_factor: 95 });
+    assert.equal(device.last("power_a"), 2000);
+    assert.equal(device.priv.counters.outlier_rejections_a, 0);
+});
+
+test("outlier_filter rejects the values above the clamp rating", (t) => {
+    const device = createDevice(t, { options: { outlier_filter_B: "nullify" } });
+    device.group("b", { flow: 0, power: 10000, current: 4350, power_factor: 95 });
+    device.group("b", { flow: 0, power: 10000, current: 90000, power_factor: 95 });
+    assert.equal(device.last("power_b"), null);
+    assert.equal(device.last("current_b"), null);
+    assert.equal(device.last("power_factor_b"), null);
+    assert.equal(device.priv.counters.outlier_rejections_b, 1);
+});
+
+test("outlier_filter rejects an isolated power factor jump", (t) => {
+    const device = createDevice(t, { options: { outlier_filter_A: "hold" } });
+    for (const power_factor of [90, 92, 10, 91]) {
+        device.group("a", { flow: 0, power: 5000, current: 2400, power_factor });
+    }
+    assert.deepEqual(device.values("power_factor_a"), [90, 92, 92, 91]);
+});
+
+test("smoothing window publishes the average of the last frames", (t) => {
+    const device = createDevice(t, { options: { smoothing_A: "window", smoothing_frames_A: 3, signed_power_A: true } });
+    for (const [flow, power] of [[0, 1000], [0, 2000], [1, 3000], [0, 5000]]) {
+        device.group("a", { flow, power, current: power, power_factor: 90 });
+    }
+    assert.deepEqual(device.values("power_a"), [100, 200, -300, 500]);
+    assert.deepEqual(device.values("power_a_avg"), [100, 150, 0, 133.3]);
+    assert.deepEqual(device.values("current_a_avg"), [1, 1.5, 2, 3.333]);
+    assert.equal(device.last("power_factor_a_avg"), 90);
+
+    // The average restarts after a sequence gap.
+    device.skip();
+    device.group("a", { flow: 0, power: 1000, current: 1000, power_factor: 80 });
+    assert.equal(device.last("power_a_avg"), 100);
+});
+
+test("smoothing_replace publishes an exponential average instead of the measurements", (t) => {
+    const device = createDevice(t, { options: { smoothing_B: "exponential", smoothing_frames_B: 3, smoothing_replace_B: true } });
+    device.group("a", { flow: 0, power: 1000, current: 483, power_factor: 90 });
+    device.group("b", { flow: 0, power: 1000, current: 500, power_factor: 90 });
+    assert.equal(device.last("power_b"), 100);
+    device.group("b", { flow: 1, power: 3000, current: 1500, power_factor: 70 });
+    assert.equal(device.last("power_b"), 100);
+    assert.equal(device.last("energy_flow_b"), "producing");
+    assert.equal(device.last("current_b"), 1);
+    assert.equal(device.last("power_factor_b"), 80);
+    assert.equal(device.last("power_ab"), 0);
+    assert.equal(device.values("power_b_avg").length, 0);
+});
+
+test("the throttle options only publish the significant changes", (t) => {
+    const options = { throttle_power_min_change: 10, throttle_power_max_interval: 60, throttle_current_min_interval: 30, signed_power_A: true };
+    const device = createDevice(t, { options });
+    for (const power of [1000, 1050, 1200, -1200, 1150, 1150, 1150, 1150, 1150, 1150, 1150]) {
+        device.group("a", { flow: power < 0 ? 1 : 0, power: Math.abs(power), current: 500, power_factor: 90 });
+        device.advance(9800);
+    }
+    assert.deepEqual(device.values("power_a"), [100, 120, -120, 115, 115]);
+    assert.equal(device.values("timestamp_a").length, 5);
+    assert.equal(device.values("energy_flow_a").length, 5);
+    assert.equal(device.values("current_a").length, 4);
+    assert.equal(device.values("power_factor_a").length, 11);
+});
+
+test("direction_debounce_power alone accepts a steady low-power change", (t) => {
+    const device = createDevice(t, { options: { direction_debounce_power_A: 50, energy_integration: true } });
+    device.group("a", { flow: 0, power: 300, current: 150, power_factor: 90 });
+    device.send(106, 1000);
+    device.send(107, 1000);
+    for (let i = 0; i < 20; i++) {
+        device.advance(9000);
+        device.group("a", { flow: 1, power: 300, current: 150, power_factor: 90 });
+    }
+    assert.equal(device.last("energy_flow_a"), "producing");
+    assert.equal(device.priv.counters.suppressed_flips_a, 1);
+    // Only the suppressed frame is counted as imported.
+    assert.ok(device.last("energy_import_a") < 10.001);
+    assert.ok(device.last("energy_export_a") > 10.001);
+});
+
+/**
+ * Send a group of channel A without its power factor (the frame timer
+ * then fires after half of update_frequency).
+ *
+ * @param {any} device
+ */
+function sendWithoutPowerFactor(device) {
+    device.send(102, 0);
+    device.send(112, 2300);
+    device.send(113, 1000);
+    device.send(101, 500);
+    device.send(111, 5000);
+    device.advance(5000);
+}
+
+test("missing_data_behavior keep only publishes frame_incomplete", (t) => {
+    const device = createDevice(t);
+    device.group("a", { flow: 0, power: 400, current: 800, power_factor: 90 });
+    sendWithoutPowerFactor(device);
+    assert.equal(device.last("frame_incomplete_a"), true);
+    assert.equal(device.last("power_a"), 40);
+    assert.equal(device.last("power_factor_a"), 90);
+    assert.equal(device.priv.counters.frames_dropped_a, 1);
+});
+
+test("missing_data_behavior nullify_missing sets the missing attributes to null", (t) => {
+    const device = createDevice(t, { options: { missing_data_behavior: "nullify_missing" } });
+    device.group("a", { flow: 0, power: 400, current: 800, power_factor: 90 });
+    sendWithoutPowerFactor(device);
+    assert.equal(device.last("frame_incomplete_a"), true);
+    assert.equal(device.last("power_a"), 50);
+    assert.equal(device.last("energy_flow_a"), "consuming");
+    assert.equal(device.last("current_a"), 1);
+    assert.equal(device.last("power_factor_a"), null);
+});
+
+test("missing_data_behavior nullify_all sets all attributes to null", (t) => {
+    const device = createDevice(t, { options: { missing_data_behavior: "nullify_all" } });
+    device.group("a", { flow: 0, power: 400, current: 800, power_factor: 90 });
+    sendWithoutPowerFactor(device);
+    assert.equal(device.last("frame_incomplete_a"), true);
+    assert.equal(device.last("power_a"), null);
+    assert.equal(device.last("energy_flow_a"), null);
+    assert.equal(device.last("current_a"), null);
+    assert.equal(device.last("power_factor_a"), null);
+});
+
+test("missing_data_behavior publish_partial publishes the available attributes", (t) => {
+    const device = createDevice(t, { options: { missing_data_behavior: "publish_partial" } });
+    device.group("a", { flow: 0, power: 400, current: 800, power_factor: 90 });
+    sendWithoutPowerFactor(device);
+    assert.equal(device.last("frame_incomplete_a"), true);
+    assert.equal(device.last("power_a"), 50);
+    assert.equal(device.last("current_a"), 1);
+    assert.equal(device.last("power_factor_a"), 90);
+});
+
+test("the frame timer waits 1.5 update_frequency with late_energy_flow", (t) => {
+    const device = createDevice(t, { options: { late_energy_flow_A: "true", missing_data_behavior: "nullify_all" } });
+    device.group("a", { flow: 0, power: 400, current: 800, power_factor: 90 });
+    // The next energy_flow_a never arrives.
+    device.advance(14000);
+    assert.equal(device.last("frame_incomplete_a"), undefined);
+    device.advance(1000);
+    assert.equal(device.last("frame_incomplete_a"), true);
+    assert.equal(device.last("power_a"), null);
+});
+
+test("a channel becomes stale after stale_periods updates without a frame", (t) => {
+    const device = createDevice(t);
+    device.group("a", { flow: 0, power: 500, current: 1000, power_factor: 90 });
+    assert.equal(device.last("stale_a"), false);
+    device.advance(29000);
+    assert.equal(device.values("stale_a").length, 1);
+    device.advance(1000);
+    assert.equal(device.last("stale_a"), true);
+    // The measurements are kept without stale_nullify.
+    assert.equal(device.last("power_a"), 50);
+    assert.equal(device.last("stale_b"), undefined);
+});
+
+test("the stale watchdog restarts on each complete frame", (t) => {
+    const device = createDevice(t, { options: { stale_periods: 2 } });
+    device.group("a", { flow: 0, power: 500, current: 1000, power_factor: 90 });
+    device.advance(15000);
+    device.group("a", { flow: 0, power: 500, current: 1000, power_factor: 90 });
+    device.advance(15000);
+    assert.deepEqual(device.values("stale_a"), [false]);
+    device.advance(5000);
+    assert.deepEqual(device.values("stale_a"), [false, true]);
+
+    device.group("a", { flow: 0, power: 600, current: 1000, power_factor: 90 });
+    assert.deepEqual(device.values("stale_a"), [false, true, false]);
+    assert.equal(device.last("power_a"), 60);
+});
+
+test("stale_nullify sets the measurements of a stale channel to null", (t) => {
+    const device = createDevice(t, { options: { stale_nullify: true } });
+    device.group("a", { flow: 0, power: 500, current: 1000, power_factor: 90 });
+    device.group("b", { flow: 0, power: 300, current: 600, power_factor: 90 });
+    device.advance(25000);
+    device.group("b", { flow: 0, power: 300, current: 600, power_factor: 90 });
+    device.advance(5000);
+    assert.equal(device.last("stale_a"), true);
+    assert.equal(device.last("power_a"), null);
+    assert.equal(device.last("energy_flow_a"), null);
+    assert.equal(device.last("current_a"), null);
+    assert.equal(device.last("power_factor_a"), null);
+    assert.equal(device.last("power_ab"), null);
+    assert.equal(device.last("stale_b"), false);
+    assert.equal(device.last("power_b"), 30);
+});
+
+test("frame_incomplete is throttled with the power group", (t) => {
+    const device = createDevice(t, { options: { throttle_power_min_interval: 300 } });
+    device.group("a", { flow: 0, power: 500, current: 1000, power_factor: 90 });
+    device.group("a", { flow: 0, power: 500, current: 1000, power_factor: 90 });
+    assert.deepEqual(device.values("frame_incomplete_a"), [false]);
+    sendWithoutPowerFactor(device);
+    // The complete frame after an incomplete one is always published.
+    device.group("a", { flow: 0, power: 600, current: 1000, power_factor: 90 });
+    assert.deepEqual(device.values("frame_incomplete_a"), [false, true, false]);
+    assert.deepEqual(device.values("power_a"), [50, 60]);
+});
@@ -0,0 +1,189 @@
+// Shared helpers of the tests.
+//
+// PJ-1203A-v5.mjs is loaded with the zigbee-herdsman-converters stand-ins
+// of tools/zhc and the timers are driven by a virtual clock.
+
+import "../tools/zhc-register.mjs";
+import { VirtualClock } from "../tools/clock.mjs";
+
+const converter = await import("../PJ-1203A-v5.mjs");
+const { getValue, clearValue } = await import("zigbee-herdsman-converters/lib/store");
+
+export const definition = converter.default;
+
+// The datatypes of the datapoints (the others are numbers).
+const ENUM_DPS = [102, 104];
+
+// The interval between two messages of the same update.
+const MESSAGE_INTERVAL = 50; // in ms
+
+/**
+ * @param {number} dp
+ * @param {number} value
+ */
+export function dpValue(dp, value) {
+    if (ENUM_DPS.includes(dp)) {
+        return { dp, datatype: 4, data: Buffer.from([value]) };
+    }
+    const data = Buffer.alloc(4);
+    data.writeInt32BE(value);
+    return { dp, datatype: 2, data };
+}
+
+let devices = 0;
+
+/**
+ * A fresh meta (with its own device and thus its own private state).
+ *
+ * @param {any} state
+ */
+function createMeta(state = {}) {
+    const silent = () => {};
+    return {
+        device: { ieeeAddr: `0x${(++devices).toString(16).padStart(16, "0")}`, meta: {}, save: silent },
+        state: { ...state },
+        logger: { debug: silent, info: silent, warning: silent, error: silent },
+    };
+}
+
+/**
+ * A simulated device sending single-datapoint messages to the converter.
+ *
+ * The virtual clock is installed until the end of the test. Unless learn
+ * is false, a few voltage messages are sent first so that the converter
+ * learns the seq increment. The clock starts at start (2026-01-01 12:00 UTC
+ * by default), tests depending on the local time pass a local Date.
+ *
+ * @param {import("node:test").TestContext} t
+ * @param {{ options?: any; state?: any; seq?: number; seq_inc?: number; learn?: boolean; start?: Date; }} settings
+ */
+export function createDevice(t, { options = {}, state = {}, seq = 0, seq_inc = 256, learn = true, start = new Date("2026-01-01T12:00:00.000Z") } = {}) {
+    const clock = new VirtualClock(start.getTime());
+    clock.install();
+    t.after(() => clock.uninstall());
+
+    const meta = createMeta(state);
+    const published = [];
+    const publish = (payload) => {
+        if (!payload || Object.keys(payload).length === 0) return;
+        Object.assign(meta.state, payload);
+        published.push(payload);
+    };
+    const [fzDatapoints, fzSyncTime] = definition.fromZigbee;
+
+    const device = {
+        meta,
+        published,
+        // The private state kept by the converter in the device store.
+        get priv() {
+            return getValue(meta.device, "private_state");
+        },
+
+        /**
+         * Send a message and return the converter result.
+         *
+         * @param {number} dp
+         * @param {number} value
+         */
+        send(dp, value) {
+            return device.deliver(device.message(dp, value));
+        },
+
+        /**
+         * Create the next message without sending it (see deliver).
+         *
+         * @param {number} dp
+         * @param {number} value
+         */
+        message(dp, value) {
+            const msg = { type: "commandDataReport", data: { seq: seq & 0xffff, dpValues: [dpValue(dp, value)] } };
+            seq += seq_inc;
+            return msg;
+        },
+
+        /**
+         * Send a message created by message() and return the converter result.
+         *
+         * @param {any} msg
+         */
+        deliver(msg) {
+            clock.advance(MESSAGE_INTERVAL);
+            const result = fzDatapoints.convert(definition, msg, publish, options, meta);
+            publish(result);
+            return result;
+        },
+
+        // Lose the next message.
+        skip() {
+            seq += seq_inc;
+        },
+
+        sync() {
+            seq += seq_inc;
+            publish(fzSyncTime.convert(definition, { type: "commandMcuSyncTime", data: {} }, publish, options, meta));
+        },
+
+        /**
+         * Send a group of channel x with the raw values of the device (see dp layout).
+         * The energy flow datapoint is omitted when flow is null (i.e. no current).
+         *
+         * @param {string} x
+         * @param {{ flow?: number | null; power: number; current: number; power_factor: number; power_ab?: number; }} values
+         */
+        group(x, { flow = null, power, current, power_factor, power_ab = null }) {
+            const dps = x === "a" ? [102, 113, 101, 110] : [104, 114, 105, 121];
+            if (flow !== null) device.send(dps[0], flow);
+            device.send(112, 2300);
+            device.send(dps[1], current);
+            device.send(dps[2], power);
+            device.send(dps[3], power_factor);
+            device.send(111, 5000);
+            if (power_ab !== null) device.send(115, power_ab);
+        },
+
+        /**
+         * Restart Zigbee2MQTT: the device store is lost and the last published
+         * state is replaced by state. The device metadata is kept.
+         *
+         * @param {any} state
+         */
+        restart(state = {}) {
+            clearValue(meta.device, "private_state");
+            clearValue(meta.device, "runtime");
+            meta.state = { ...state };
+        },
+
+        /**
+         * @param {number} delay in ms
+         */
+        advance(delay) {
+            clock.advance(delay);
+        },
+
+        /**
+         * The last published value of an attribute (undefined if never published).
+         *
+         * @param {string} name
+         */
+        last(name) {
+            for (let i = published.length - 1; i >= 0; i--) {
+                if (name in published[i]) return published[i][name];
+            }
+            return undefined;
+        },
+
+        /**
+         * All published values of an attribute.
+         *
+         * @param {string} name
+         */
+        values(name) {
+            return published.filter((payload) => name in payload).map((payload) => payload[name]);
+        },
+    };
+    if (learn) {
+        for (let i = 0; i < 4; i++) device.send(112, 2300);
+        published.length = 0;
+    }
+    return device;
+}
@@ -0,0 +1,112 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createDevice } from "./helpers.mjs";
+
+// The signed power of channel A in each update (channel B is consuming 100 W). The
+// magnitudes always have the same sign so that a published value with the
+// wrong sign can be detected.
+const POWERS = [300, -400, 250, -350, 500, -200, 300, -400, 250, -350, 500, -200];
+
+// The update with a single zero power value.
+const GLITCH = 6;
+
+/**
+ * Simulate the updates of a device with or without the late energy flow quirk.
+ *
+ * @param {any} device
+ * @param {boolean} late
+ */
+function run(device, late) {
+    let previous = 0;
+    POWERS.forEach((power, i) => {
+        const flow = power < 0 ? 1 : 0;
+        const power_ab = Math.round(power * 10) + 1000;
+        device.group("a", {
+            flow: late ? previous : flow,
+            power: i === GLITCH ? 0 : Math.abs(power * 10),
+            current: Math.round((Math.abs(power) / 207) * 1000),
+            power_factor: 90,
+            power_ab,
+        });
+        device.group("b", { flow: 0, power: 1000, current: 483, power_factor: 90, power_ab });
+        device.advance(9000);
+        previous = flow;
+    });
+}
+
+test("the options are disabled by default", (t) => {
+    const device = createDevice(t);
+    run(device, false);
+    assert.equal(device.last("power_a"), 200);
+    assert.equal(device.last("energy_flow_a"), "producing");
+    assert.ok(device.values("power_a").includes(0));
+    assert.notEqual(device.last("energy_flow_source_a"), "power_ab");
+});
+
+// The booleans are the values of late_energy_flow_x in the previous versions.
+for (const late_energy_flow of ["false", "true", "auto", false, true]) {
+    const late = late_energy_flow !== "false" && late_energy_flow !== false;
+    for (const signed_power of [false, true]) {
+        for (const single_zero_remove of [false, true]) {
+            const options = { late_energy_flow_A: late_energy_flow, signed_power_A: signed_power, single_zero_remove };
+            test(`published values with ${JSON.stringify(options)}`, (t) => {
+                const device = createDevice(t, { options });
+                run(device, late);
+
+                const published = device.published.filter((payload) => "power_a" in payload && payload.power_a !== null);
+                const powers = published.map((payload) => {
+                    if (signed_power) {
+                        assert.equal(payload.energy_flow_a, "sign");
+                        return payload.power_a;
+                    }
+                    assert.ok(payload.power_a >= 0);
+                    assert.ok(["consuming", "producing"].includes(payload.energy_flow_a));
+                    return payload.energy_flow_a === "producing" ? -payload.power_a : payload.power_a;
+                });
+
+                // Never a wrong sign.
+                for (const power of powers.filter((power) => power !== 0)) {
+                    assert.ok(POWERS.includes(power), `unexpected power_a ${power}`);
+                }
+
+                // The single zero is only published without single_zero_remove.
+                assert.equal(powers.includes(0), !single_zero_remove);
+                assert.equal(device.priv.counters.zero_glitches, single_zero_remove ? 1 : 0);
+
+                // All the other updates are published (except the glitch and, when late, the last one).
+                const expected = POWERS.length - 1 - (late ? 1 : 0);
+                const count = powers.filter((power) => power !== 0).length;
+                assert.ok(count >= expected, `only ${count} updates published`);
+
+                if (late_energy_flow === "auto") {
+                    assert.equal(device.last("energy_flow_timing_a"), "late");
+                }
+            });
+        }
+    }
+}
+
+test("late_energy_flow auto detects a device sending the energy flow on time", (t) => {
+    const device = createDevice(t, { options: { late_energy_flow_A: "auto" } });
+    run(device, false);
+    assert.equal(device.last("energy_flow_timing_a"), "on_time");
+    assert.equal(device.last("power_a"), 200);
+    assert.equal(device.last("energy_flow_a"), "producing");
+});
+
+test("the late_energy_flow auto verdict is kept without the published state", (t) => {
+    const device = createDevice(t, { options: { late_energy_flow_A: "auto" } });
+    run(device, true);
+    assert.equal(device.last("energy_flow_timing_a"), "late");
+    device.restart();
+    device.send(112, 2300);
+    assert.equal(device.priv.energy_flow_timing_a, "late");
+    assert.equal(device.priv.energy_flow_timing_b, "unknown");
+});
+
+test("infer_energy_flow publishes the sign deduced from power_ab", (t) => {
+    const device = createDevice(t, { options: { infer_energy_flow_A: true, signed_power_A: true } });
+    run(device, true);
+    assert.equal(device.last("power_a"), -200);
+    assert.equal(device.last("energy_flow_source_a"), "power_ab");
+});
@@ -0,0 +1,141 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createDevice } from "./helpers.mjs";
+
+/**
+ * @param {number} power The signed power (in W)
+ */
+function raw(power) {
+    return {
+        flow: power < 0 ? 1 : 0,
+        power: Math.abs(power * 10),
+        current: Math.round((Math.abs(power) / 207) * 1000),
+        power_factor: 90,
+    };
+}
+
+test("the grid and battery roles are signed by default", (t) => {
+    for (const [options, power] of [
+        [{ channel_role_A: "grid" }, -100],
+        [{ channel_role_A: "battery" }, -100],
+        [{ channel_role_A: "solar" }, 100],
+        [{ channel_role_A: "grid", signed_power_A: false }, 100],
+    ]) {
+        const device = createDevice(t, { options });
+        device.group("a", raw(-100));
+        assert.equal(device.last("power_a"), power, JSON.stringify(options));
+        assert.equal(device.last("energy_flow_a"), power < 0 ? "sign" : "producing");
+    }
+});
+
+test("the household flows are derived from the grid and solar channels", (t) => {
+    const device = createDevice(t, { options: { channel_role_A: "grid", channel_role_B: "solar" } });
+
+    device.group("a", raw(500));
+    assert.equal(device.last("power_house"), undefined);
+    device.group("b", raw(-2000));
+    assert.equal(device.last("power_a"), 500);
+    assert.equal(device.last("energy_flow_a"), "sign");
+    assert.equal(device.last("energy_flow_b"), "producing");
+    assert.equal(device.last("power_house"), 2500);
+    assert.equal(device.last("power_self_consumed"), 2000);
+    assert.equal(device.last("power_grid_export"), 0);
+    assert.equal(device.last("self_sufficiency"), 80);
+
+    device.advance(9000);
+    device.group("a", raw(-1500));
+    assert.equal(device.last("power_house"), 500);
+    assert.equal(device.last("power_self_consumed"), 500);
+    assert.equal(device.last("power_grid_export"), 1500);
+    assert.equal(device.last("self_sufficiency"), 100);
+});
+
+test("the grid is deduced from the load and solar channels", (t) => {
+    const device = createDevice(t, { options: { channel_role_A: "load", channel_role_B: "solar" } });
+    device.group("a", raw(1000));
+    device.group("b", raw(-400));
+    assert.equal(device.last("power_house"), 1000);
+    assert.equal(device.last("power_self_consumed"), 400);
+    assert.equal(device.last("power_grid_export"), 0);
+    assert.equal(device.last("self_sufficiency"), 40);
+});
+
+test("the household flows are not derived for generic channels", (t) => {
+    const device = createDevice(t, { options: { channel_role_A: "grid" } });
+    device.group("a", raw(500));
+    device.group("b", raw(-2000));
+    assert.equal(device.last("power_house"), undefined);
+});
+
+test("surplus_available follows the surplus with hysteresis and minimum durations", (t) => {
+    const options = {
+        channel_role_A: "grid",
+        channel_role_B: "solar",
+        surplus_detection: true,
+        surplus_window: 30,
+        surplus_min_on_time: 60,
+        surplus_min_off_time: 60,
+    };
+    const device = createDevice(t, { options });
+    const update = (/** @type {number} */ grid, /** @type {number} */ count = 1) => {
+        for (let i = 0; i < count; i++) {
+            device.group("a", raw(grid));
+            device.group("b", raw(-3000));
+            device.advance(10000 - 600);
+        }
+        return device.last("surplus_available");
+    };
+
+    update(200, 4);
+    assert.equal(device.last("surplus_power"), -200);
+    assert.equal(device.last("surplus_available"), false);
+
+    // The average over 30 s reaches 500 W after two updates.
+    assert.equal(update(-1000), false);
+    assert.ok(Math.abs(device.last("surplus_power") - 200) < 10);
+    assert.equal(update(-1000), true);
+
+    // The average falls below 100 W after two updates but not before the minimum on time.
+    assert.equal(update(500, 2), true);
+    assert.ok(device.last("surplus_power") < 100);
+    assert.equal(update(500, 3), true);
+    assert.equal(update(500), false);
+
+    // Same for the minimum off time.
+    assert.equal(update(-2000, 2), false);
+    assert.ok(device.last("surplus_power") > 500);
+    assert.equal(update(-2000, 3), false);
+    assert.equal(update(-2000), true);
+
+    // Only the surplus between the thresholds (no change).
+    assert.equal(update(-300, 10), true);
+});
+
+test("the derived values are computed from every frame and throttled with the power group", (t) => {
+    const options = { channel_role_A: "grid", channel_role_B: "solar", surplus_detection: true, surplus_window: 30, throttle_power_min_interval: 300 };
+    const device = createDevice(t, { options });
+    device.group("a", raw(1000));
+    device.group("b", raw(-3000));
+    assert.equal(device.last("power_house"), 4000);
+    assert.equal(device.last("power_ab"), -2000);
+    device.advance(9000);
+
+    // The grid is now exporting but nothing is published again before 5 minutes.
+    for (let i = 0; i < 5; i++) {
+        device.group("a", raw(-2000));
+        device.group("b", raw(-3000));
+        device.advance(9000);
+    }
+    assert.deepEqual(device.values("power_a"), [1000]);
+    assert.deepEqual(device.values("power_house"), [4000]);
+    assert.deepEqual(device.values("power_ab"), [-2000]);
+
+    device.advance(300000);
+    device.group("a", raw(-2000));
+    device.group("b", raw(-3000));
+    assert.deepEqual(device.values("power_a"), [1000, -2000]);
+    assert.deepEqual(device.values("power_house"), [4000, 1000]);
+    assert.equal(device.last("power_grid_export"), 2000);
+    assert.equal(device.last("surplus_power"), 2000);
+    assert.deepEqual(device.values("power_ab"), [-2000, -5000]);
+});
@@ -0,0 +1,163 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createDevice } from "./helpers.mjs";
+
+/**
+ * Send a voltage message with a given seq.
+ *
+ * @param {any} device
+ * @param {number} seq
+ */
+function sendSeq(device, seq) {
+    const msg = device.message(112, 2300);
+    msg.data.seq = seq & 0xffff;
+    return device.deliver(msg);
+}
+
+test("the seq increment is learned", (t) => {
+    for (const seq_inc of [256, 1]) {
+        const device = createDevice(t, { seq: 100, seq_inc });
+        assert.equal(device.priv.seq_inc, seq_inc);
+        device.send(112, 2300);
+        assert.equal(device.priv.counters.sequence_gaps, 0);
+    }
+});
+
+test("duplicate and missing messages are detected", (t) => {
+    const device = createDevice(t);
+    const voltage = device.message(112, 2300);
+    device.deliver(voltage);
+    device.deliver(voltage);
+    assert.equal(device.priv.counters.duplicate_messages, 1);
+    device.skip();
+    device.send(112, 2300);
+    assert.equal(device.priv.counters.sequence_gaps, 1);
+    const late = device.message(112, 2300);
+    device.send(112, 2300);
+    assert.equal(device.priv.counters.sequence_gaps, 2);
+    device.deliver(late);
+    assert.equal(device.priv.counters.sequence_gaps, 3);
+});
+
+test("the wrap-around is learned", (t) => {
+    const device = createDevice(t, { seq: 0xfc00 });
+    // 0xfc00 + 4 * 256 wraps to 0 but the device skips a value.
+    sendSeq(device, 1);
+    assert.equal(device.priv.seq_wrap_offset, 1);
+    sendSeq(device, 257);
+    assert.equal(device.priv.counters.sequence_gaps, 0);
+});
+
+test("the wrap-around is learned with a seq increment of 1", (t) => {
+    const device = createDevice(t, { seq: 0xfffc, seq_inc: 1 });
+    // The device skips 0.
+    sendSeq(device, 1);
+    assert.equal(device.priv.seq_wrap_offset, 1);
+    sendSeq(device, 2);
+    assert.equal(device.priv.counters.sequence_gaps, 0);
+});
+
+test("the seq increment is learned again after too many misses", (t) => {
+    const device = createDevice(t);
+    for (let i = 0; i < 8; i++) sendSeq(device, 10 + i * 3);
+    assert.equal(device.priv.counters.sequence_gaps, 8);
+    assert.equal(device.priv.seq_inc, null);
+    sendSeq(device, 40);
+    assert.equal(device.priv.counters.sequence_gaps, 8);
+    assert.equal(device.priv.seq_learn_count, 1);
+});
+
+test("a missing message discards the frame", (t) => {
+    const device = createDevice(t);
+    device.send(102, 0);
+    device.send(112, 2300);
+    device.send(113, 1000);
+    device.skip(); // power_a
+    device.send(110, 90);
+    device.send(111, 5000);
+
+    assert.equal(device.values("power_a").length, 0);
+    assert.equal(device.priv.counters.sequence_gaps, 1);
+
+    device.advance(10000);
+    assert.equal(device.last("frame_incomplete_a"), true);
+    assert.equal(device.values("power_a").length, 0);
+
+    device.group("a", { flow: 0, power: 500, current: 1000, power_factor: 90 });
+    assert.equal(device.last("power_a"), 50);
+    assert.equal(device.last("frame_incomplete_a"), false);
+});
+
+test("the time synchronization does not cause a gap", (t) => {
+    const device = createDevice(t);
+    device.sync();
+    device.group("a", { flow: 0, power: 500, current: 1000, power_factor: 90 });
+    assert.equal(device.priv.counters.sequence_gaps, 0);
+    assert.equal(device.priv.counters.time_syncs, 1);
+    assert.equal(device.last("power_a"), 50);
+});
+
+test("reorder_window processes a swapped pair in order", (t) => {
+    const device = createDevice(t, { options: { reorder_window: 2 } });
+    device.send(102, 0);
+    device.send(112, 2300);
+    const current = device.message(113, 1000);
+    const power = device.message(101, 500);
+    device.deliver(power);
+    assert.equal(device.values("power_a").length, 0);
+    device.deliver(current);
+    device.send(110, 90);
+
+    assert.equal(device.last("power_a"), 50);
+    assert.equal(device.last("current_a"), 1);
+    assert.equal(device.priv.counters.reordered_messages, 1);
+    assert.equal(device.priv.counters.sequence_gaps, 0);
+});
+
+test("reorder_window gives up when more messages than the window arrive early", (t) => {
+    const device = createDevice(t, { options: { reorder_window: 2 } });
+    device.send(102, 0);
+    device.send(112, 2300);
+    const current = device.message(113, 1000);
+    device.send(101, 500);
+    device.send(110, 90);
+    assert.equal(device.priv.counters.sequence_gaps, 0);
+    device.send(111, 5000);
+    assert.equal(device.priv.counters.sequence_gaps, 1);
+    assert.equal(device.last("ac_frequency"), 50);
+
+    // The missing message arrives too late.
+    device.deliver(current);
+    assert.equal(device.values("current_a").length, 0);
+    assert.equal(device.priv.counters.reordered_messages, 3);
+});
+
+test("reorder_window processes the held messages after 1 s", (t) => {
+    const device = createDevice(t, { options: { reorder_window: 2 } });
+    device.send(112, 2300);
+    device.skip();
+    device.send(111, 5000);
+    assert.equal(device.last("ac_frequency"), undefined);
+    device.advance(999);
+    assert.equal(device.last("ac_frequency"), undefined);
+    device.advance(1);
+    assert.equal(device.last("ac_frequency"), 50);
+    assert.equal(device.priv.counters.sequence_gaps, 1);
+});
+
+test("reorder_window still discards the pending values after a real gap", (t) => {
+    const device = createDevice(t, { options: { reorder_window: 2 } });
+    device.send(102, 0);
+    device.send(112, 2300);
+    device.send(113, 1000);
+    device.skip(); // power_a
+    device.send(110, 90);
+    device.send(111, 5000);
+    device.send(104, 0);
+
+    assert.equal(device.priv.counters.sequence_gaps, 1);
+    assert.equal(device.values("power_a").length, 0);
+    assert.equal(device.values("power_factor_a").length, 0);
+    device.advance(10000);
+    assert.equal(device.last("frame_incomplete_a"), true);
+});
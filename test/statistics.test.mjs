@@ -0,0 +1,112 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createDevice } from "./helpers.mjs";
+
+/**
+ * Send one update of channel A every 10 s (channel B is not used).
+ *
+ * @param {any} device
+ * @param {number} power The signed power (in W)
+ * @param {number} power_factor
+ */
+function update(device, power, power_factor = 90) {
+    device.group("a", {
+        flow: power < 0 ? 1 : 0,
+        power: Math.abs(power * 10),
+        current: Math.round((Math.abs(power) / 230) * 1000),
+        power_factor,
+    });
+    device.advance(10000 - 300);
+}
+
+test("aggregate_interval publishes the statistics of each interval", (t) => {
+    const device = createDevice(t, { options: { aggregate_interval: 60 } });
+    for (const power of [100, 200, -300, 400, 500]) {
+        update(device, power);
+    }
+    assert.equal(device.last("power_a_mean"), undefined);
+
+    // Published at 12:01:00
+    update(device, 600);
+    assert.equal(device.last("power_a_min"), -300);
+    assert.equal(device.last("power_a_mean"), 250);
+    assert.equal(device.last("power_a_max"), 600);
+    assert.equal(device.last("current_a_max"), 2.609);
+    assert.equal(device.last("power_factor_a_mean"), 90);
+    assert.equal(device.last("aggregate_samples_a"), 6);
+    assert.equal(device.last("voltage_mean"), 230);
+    assert.equal(device.last("ac_frequency_max"), 50);
+    assert.equal(device.last("power_b_mean"), undefined);
+
+    for (let i = 0; i < 6; i++) update(device, 1000, 80);
+    assert.equal(device.last("power_a_min"), 1000);
+    assert.equal(device.last("power_factor_a_max"), 80);
+    assert.equal(device.last("aggregate_samples_a"), 6);
+});
+
+test("aggregate_only publishes the statistics instead of every frame", (t) => {
+    const device = createDevice(t, { options: { aggregate_interval: 60, aggregate_only: true, smoothing_A: "window" } });
+    for (const power of [100, 200, -300, 400, 500, 600]) {
+        update(device, power);
+    }
+    assert.equal(device.last("power_a_mean"), 250);
+    assert.equal(device.last("voltage_mean"), 230);
+    for (const name of ["power_a", "energy_flow_a", "timestamp_a", "current_a", "power_factor_a", "power_a_avg", "voltage", "ac_frequency"]) {
+        assert.equal(device.values(name).length, 0, name);
+    }
+    assert.equal(device.last("frame_incomplete_a"), false);
+});
+
+test("aggregate_only is ignored without aggregate_interval", (t) => {
+    const device = createDevice(t, { options: { aggregate_only: true } });
+    update(device, 100);
+    assert.equal(device.last("power_a"), 100);
+    assert.equal(device.last("voltage"), 230);
+});
+
+test("the statistics are not published by default", (t) => {
+    const device = createDevice(t);
+    for (let i = 0; i < 8; i++) update(device, 100);
+    assert.equal(device.values("power_a_mean").length, 0);
+});
+
+/**
+ * Check a demand within 1 W (the frames are not aligned on the quarters).
+ *
+ * @param {number} actual
+ * @param {number} expected
+ */
+function assertDemand(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1, `${actual} is not ${expected}`);
+}
+
+test("demand_source publishes the quarter-hour demand and the monthly peak", (t) => {
+    const device = createDevice(t, { options: { demand_source: "power_a" } });
+    // 5 minutes at 3000 W, 5 minutes exporting and 5 minutes at 600 W
+    for (let i = 0; i < 30; i++) update(device, 3000);
+    assert.equal(device.last("demand_average"), 3000);
+    assert.equal(device.last("demand_prediction"), 3000);
+    for (let i = 0; i < 30; i++) update(device, -500);
+    // 5 minutes at 3000 W and 4 min 50 s exporting (the last frame is not counted yet)
+    assertDemand(device.last("demand_average"), (3000 * 300) / 590);
+    assertDemand(device.last("demand_prediction"), 1000);
+    for (let i = 0; i < 31; i++) update(device, 600);
+    assertDemand(device.last("demand_last_quarter"), 1200);
+    assertDemand(device.last("demand_peak_month"), 1200);
+    assert.equal(device.last("demand_peak_month_time"), "2026-01-01T12:00:00.000Z");
+    assert.equal(device.last("demand_average"), 600);
+
+    // A lower quarter does not change the peak.
+    for (let i = 0; i < 90; i++) update(device, 600);
+    assert.equal(device.last("demand_last_quarter"), 600);
+    assert.equal(device.values("demand_peak_month").length, 1);
+});
+
+test("the monthly peak is restored and replaced in a new month", (t) => {
+    const state = { demand_peak_month: 5000, demand_peak_month_time: new Date(2025, 11, 31, 10, 0).toISOString() };
+    const start = new Date(2026, 0, 1, 12, 0);
+    const device = createDevice(t, { options: { demand_source: "power_a" }, state, start });
+    for (let i = 0; i < 91; i++) update(device, 1000);
+    assert.equal(device.last("demand_peak_month"), 1000);
+    assert.equal(device.last("demand_peak_month_time"), start.toISOString());
+});
@@ -0,0 +1,62 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { setTimeout as sleep } from "node:timers/promises";
+import { createDevice } from "./helpers.mjs";
+import { parseTrace } from "../tools/replay.mjs";
+
+/**
+ * Run a test with ZIGBEE2MQTT_DATA set to a directory (or not set).
+ *
+ * @param {import("node:test").TestContext} t
+ * @param {string | undefined} directory
+ */
+function useDataDirectory(t, directory) {
+    const previous = process.env.ZIGBEE2MQTT_DATA;
+    if (directory === undefined) delete process.env.ZIGBEE2MQTT_DATA;
+    else process.env.ZIGBEE2MQTT_DATA = directory;
+    t.after(() => {
+        if (previous === undefined) delete process.env.ZIGBEE2MQTT_DATA;
+        else process.env.ZIGBEE2MQTT_DATA = previous;
+    });
+}
+
+test("the trace is written in the data directory", async (t) => {
+    const directory = mkdtempSync(join(tmpdir(), "pj1203a-"));
+    t.after(() => rmSync(directory, { recursive: true, force: true }));
+    useDataDirectory(t, directory);
+
+    const device = createDevice(t, { options: { trace: true } });
+    device.group("a", { flow: 0, power: 1000, current: 500, power_factor: 90 });
+    device.sync();
+    await sleep(100);
+
+    const file = join(directory, `pj1203a-trace-${device.meta.device.ieeeAddr}.jsonl`);
+    const events = parseTrace(readFileSync(file, "utf8"));
+    // The 4 voltage messages sent while learning the seq increment, the group and the time sync.
+    assert.equal(events.length, 11);
+    assert.deepEqual(events[4].dpValues, [{ dp: 102, datatype: 4, data: "00" }]);
+    assert.equal(events[10].type, "commandMcuSyncTime");
+});
+
+test("a trace write error is only logged", async (t) => {
+    useDataDirectory(t, join(tmpdir(), "pj1203a-missing", "data"));
+    const device = createDevice(t, { options: { trace: true } });
+    device.group("a", { flow: 0, power: 1000, current: 500, power_factor: 90 });
+    await sleep(100);
+    assert.equal(device.last("power_a"), 100);
+});
+
+test("the trace is not written without ZIGBEE2MQTT_DATA", async (t) => {
+    useDataDirectory(t, undefined);
+    const device = createDevice(t, { options: { trace: true }, learn: false });
+    const warnings = [];
+    device.meta.logger.warning = (message) => warnings.push(message);
+    for (let i = 0; i < 4; i++) device.send(112, 2300);
+    device.group("a", { flow: 0, power: 1000, current: 500, power_factor: 90 });
+    await sleep(100);
+    assert.deepEqual(warnings, ["[PJ1203A] The trace is not written: ZIGBEE2MQTT_DATA is not set"]);
+    assert.equal(device.last("power_a"), 100);
+});
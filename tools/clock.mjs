@@ -0,0 +1,77 @@
+// A virtual clock replacing Date, setTimeout and clearTimeout.
+//
+// The time only moves when advance() is called and the timers that
+// expire meanwhile are executed in order. This allows the replay of
+// hours of traces in a few seconds with the same timer behavior.
+
+export class VirtualClock {
+    /**
+     * @param {number} now The initial time (in ms since the epoch)
+     */
+    constructor(now = 0) {
+        this.now = now;
+        this.timers = new Map();
+        this.nextId = 1;
+        this.saved = null;
+    }
+
+    install() {
+        if (this.saved) return;
+        const clock = this;
+        const RealDate = globalThis.Date;
+        this.saved = { Date: RealDate, setTimeout: globalThis.setTimeout, clearTimeout: globalThis.clearTimeout };
+
+        class VirtualDate extends RealDate {
+            constructor(...args) {
+                if (args.length === 0) super(clock.now);
+                else super(...args);
+            }
+            static now() {
+                return clock.now;
+            }
+        }
+        globalThis.Date = VirtualDate;
+        globalThis.setTimeout = (callback, delay = 0, ...args) => {
+            const id = this.nextId++;
+            this.timers.set(id, { at: this.now + Math.max(0, Number(delay) || 0), callback, args });
+            return id;
+        };
+        globalThis.clearTimeout = (id) => {
+            this.timers.delete(id);
+        };
+    }
+
+    uninstall() {
+        if (!this.saved) return;
+        Object.assign(globalThis, this.saved);
+        this.saved = null;
+    }
+
+    /**
+     * Move the time forward to `time` while executing the expired timers.
+     *
+     * @param {number} time
+     */
+    advanceTo(time) {
+        for (;;) {
+            let next = null;
+            for (const [id, timer] of this.timers) {
+                if (timer.at > time) continue;
+                if (next === null || timer.at < next[1].at) next = [id, timer];
+            }
+            if (next === null) break;
+            const [id, timer] = next;
+            this.timers.delete(id);
+            this.now = Math.max(this.now, timer.at);
+            timer.callback(...timer.args);
+        }
+        this.now = Math.max(this.now, time);
+    }
+
+    /**
+     * @param {number} delay in ms
+     */
+    advance(delay) {
+        this.advanceTo(this.now + delay);
+    }
+}
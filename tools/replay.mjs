@@ -0,0 +1,149 @@
+// Replay a trace recorded with the trace option (or generated by
+// a simulator) through the PJ-1203A-v5 converter without Zigbee2MQTT.
+//
+// Usage: node tools/replay.mjs [--converter FILE] [--tail SECONDS] [--verbose]
+//                              [--option NAME=VALUE ...] TRACE.jsonl
+//
+// zigbee-herdsman-converters is replaced by the stand-ins of tools/zhc
+// (only tuya.fz.datapoints and the store are really implemented) and the
+// time is driven by the trace timestamps (see clock.mjs). The published
+// payloads are printed on stdout, one JSON object per line, so two runs
+// with different options can simply be compared with diff.
+
+import { readFileSync } from "node:fs";
+import { resolve } from "node:path";
+import { pathToFileURL, fileURLToPath } from "node:url";
+import "./zhc-register.mjs";
+import { VirtualClock } from "./clock.mjs";
+
+const DEFAULT_CONVERTER = fileURLToPath(new URL("../PJ-1203A-v5.mjs", import.meta.url));
+
+/**
+ * @param {string} converter The path of the converter file
+ */
+export async function loadDefinition(converter = DEFAULT_CONVERTER) {
+    const module = await import(pathToFileURL(resolve(converter)).href);
+    return module.default;
+}
+
+/**
+ * @param {string} text The content of a trace file
+ */
+export function parseTrace(text) {
+    return text
+        .split("\n")
+        .filter((line) => line.trim() !== "")
+        .map((line) => JSON.parse(line));
+}
+
+/**
+ * Build the Zigbee message of a trace event.
+ *
+ * @param {any} event
+ */
+export function traceMessage(event) {
+    const msg = { type: event.type, data: {} };
+    if (event.dpValues) {
+        msg.data.seq = event.seq;
+        msg.data.dpValues = event.dpValues.map((dpValue) => ({
+            dp: dpValue.dp,
+            datatype: dpValue.datatype,
+            data: Buffer.from(dpValue.data, "hex"),
+        }));
+    }
+    return msg;
+}
+
+/**
+ * Replay the events through the converter and return the published payloads.
+ *
+ * Like Zigbee2MQTT, meta.state is updated with each published payload.
+ *
+ * @param {any} definition
+ * @param {any[]} events
+ * @param {{ options?: any; state?: any; tail?: number; logger?: any; }} settings
+ *        tail is the time (in ms) to run after the last event to let the timers expire.
+ */
+export function replay(definition, events, { options = {}, state = {}, tail = 0, logger = null } = {}) {
+    const output = [];
+    const silent = () => {};
+    const meta = {
+        device: { ieeeAddr: "0x0000000000000000", modelID: "TS0601", meta: {}, save: () => {} },
+        state: { ...state },
+        logger: logger ?? { debug: silent, info: silent, warning: silent, error: silent },
+    };
+    const clock = new VirtualClock(events.length > 0 ? Date.parse(events[0].time) : 0);
+    const publish = (payload) => {
+        if (!payload || Object.keys(payload).length === 0) return;
+        Object.assign(meta.state, payload);
+        output.push({ time: new Date(clock.now).toISOString(), payload });
+    };
+
+    clock.install();
+    try {
+        for (const event of events) {
+            clock.advanceTo(Date.parse(event.time));
+            const msg = traceMessage(event);
+            for (const converter of definition.fromZigbee) {
+                if (!converter.type.includes(msg.type)) continue;
+                publish(converter.convert(definition, msg, publish, options, meta));
+            }
+        }
+        clock.advance(tail);
+    } finally {
+        clock.uninstall();
+    }
+    return output;
+}
+
+/**
+ * Convert an option value given on the command line.
+ *
+ * @param {string} value
+ */
+function parseOptionValue(value) {
+    if (value === "true") return true;
+    if (value === "false") return false;
+    if (value !== "" && !Number.isNaN(Number(value))) return Number(value);
+    return value;
+}
+
+async function main(argv) {
+    const options = {};
+    let converter = DEFAULT_CONVERTER;
+    let tail = 0;
+    let verbose = false;
+    let file = null;
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === "--option") {
+            const [name, ...value] = argv[++i].split("=");
+            options[name] = parseOptionValue(value.join("="));
+        } else if (arg === "--converter") {
+            converter = argv[++i];
+        } else if (arg === "--tail") {
+            tail = Number(argv[++i]) * 1000;
+        } else if (arg === "--verbose") {
+            verbose = true;
+        } else {
+            file = arg;
+        }
+    }
+    if (file === null) {
+        console.error("Usage: node tools/replay.mjs [--converter FILE] [--tail SECONDS] [--verbose] [--option NAME=VALUE ...] TRACE.jsonl");
+        process.exit(2);
+    }
+
+    const log = (message) => console.error(message);
+    const logger = verbose ? { debug: log, info: log, warning: log, error: log } : null;
+    const definition = await loadDefinition(converter);
+    const events = parseTrace(readFileSync(file, "utf8"));
+    for (const line of replay(definition, events, { options, tail, logger })) {
+        console.log(JSON.stringify(line));
+    }
+}
+
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    await main(process.argv.slice(2));
+}
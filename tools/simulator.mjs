@@ -0,0 +1,357 @@
+// A simulator of the PJ-1203A producing the same message sequences as the
+// real device (see the comment at the top of PJ-1203A-v5.mjs).
+//
+// Usage: node tools/simulator.mjs [--seed N] [--start ISODATE] [--duration SECONDS]
+//                                 [--update-frequency SECONDS] [--seq-inc N]
+//                                 [--a PROFILE] [--b PROFILE] [--late-energy-flow]
+//                                 [--drop P] [--reorder P] [--single-zero P]
+//                                 [--energy-interval SECONDS] [--time-sync-interval SECONDS]
+//
+// The trace is printed on stdout in the format of the trace option so
+// it can be fed to tools/replay.mjs. A PROFILE is a '+' separated list of
+//
+//     constant:W          a constant power (negative when producing)
+//     load:BASE:PEAK      a base load plus an appliance randomly switched on and off
+//     solar:PEAK          a solar production following the sun (in UTC)
+//
+// The random choices (faults and loads) only depend on the seed so a
+// simulation can be reproduced exactly.
+
+import { resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+
+/**
+ * A small seeded PRNG (mulberry32) returning numbers in [0,1).
+ *
+ * @param {number} seed
+ */
+export function createRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6d2b79f5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+//
+// The power profiles. A profile is a function (time, random) returning the
+// signed power of a channel in W (positive when consuming and negative when
+// producing) where time is in ms since the epoch.
+//
+export const profiles = {
+    /**
+     * @param {number} power
+     */
+    constant: (power) => () => power,
+
+    /**
+     * A base load plus an appliance of `peak` W that is randomly switched on
+     * (for `on` seconds on average) and off (for `off` seconds on average).
+     *
+     * @param {{ base?: number; peak?: number; on?: number; off?: number; }} settings
+     */
+    load: ({ base = 200, peak = 2000, on = 300, off = 900 } = {}) => {
+        let active = false;
+        let last = null;
+        return (/** @type {number} */ time, /** @type {() => number} */ random) => {
+            const elapsed = last === null ? 0 : (time - last) / 1000;
+            last = time;
+            if (random() < elapsed / (active ? on : off)) active = !active;
+            return base + (active ? peak : 0);
+        };
+    },
+
+    /**
+     * A solar production of `peak` W at noon between `sunrise` and `sunset` (hours in UTC).
+     *
+     * @param {{ peak?: number; sunrise?: number; sunset?: number; }} settings
+     */
+    solar: ({ peak = 3000, sunrise = 6, sunset = 20 } = {}) => {
+        return (/** @type {number} */ time) => {
+            const hour = (time / 3600000) % 24;
+            if (hour <= sunrise || hour >= sunset) return 0;
+            return -peak * Math.sin((Math.PI * (hour - sunrise)) / (sunset - sunrise));
+        };
+    },
+
+    /**
+     * A list of [seconds from the start, power] steps.
+     *
+     * @param {[number, number][]} steps
+     */
+    steps: (steps) => {
+        let start = null;
+        return (/** @type {number} */ time) => {
+            start ??= time;
+            let power = 0;
+            for (const [offset, value] of steps) {
+                if ((time - start) / 1000 >= offset) power = value;
+            }
+            return power;
+        };
+    },
+
+    /**
+     * @param {...Function} list
+     */
+    sum: (...list) => {
+        return (/** @type {number} */ time, /** @type {() => number} */ random) => list.reduce((total, profile) => total + profile(time, random), 0);
+    },
+};
+
+/**
+ * Parse a profile from the command line (see above).
+ *
+ * @param {string} spec
+ */
+export function parseProfile(spec) {
+    return profiles.sum(
+        ...spec.split("+").map((part) => {
+            const [name, ...args] = part.split(":");
+            const values = args.map(Number);
+            switch (name) {
+                case "constant":
+                    return profiles.constant(values[0] ?? 0);
+                case "load":
+                    return profiles.load({ base: values[0], peak: values[1] });
+                case "solar":
+                    return profiles.solar({ peak: values[0] });
+            }
+            throw new Error(`Unknown profile '${name}'`);
+        }),
+    );
+}
+
+/**
+ * The raw datapoint values of a channel for a given signed power.
+ *
+ * @param {number} power in W
+ * @param {number} voltage in V
+ * @param {number} power_factor in %
+ */
+function channelValues(power, voltage, power_factor) {
+    const raw_power = Math.round(Math.abs(power) * 10);
+    if (raw_power === 0) {
+        return { flow: 0, power: 0, current: 0, power_factor: 100, zero: true };
+    }
+    return {
+        flow: power < 0 ? 1 : 0,
+        power: raw_power,
+        current: Math.round((Math.abs(power) / ((voltage * power_factor) / 100)) * 1000),
+        power_factor: Math.round(power_factor),
+        zero: false,
+    };
+}
+
+/**
+ * @param {number} dp
+ * @param {number} datatype
+ * @param {number} value
+ */
+function dpValue(dp, datatype, value) {
+    let data;
+    if (datatype === 4 || datatype === 1) {
+        data = Buffer.from([value]);
+    } else {
+        data = Buffer.alloc(4);
+        data.writeInt32BE(value);
+    }
+    return { dp, datatype, data: data.toString("hex") };
+}
+
+/**
+ * Simulate the device and return the trace events and the simulated frames.
+ *
+ * Each frame holds the exact values (i.e. the expected attributes) of both
+ * channels: { time, power_ab, a: {power, current, power_factor, energy_flow}, b: {...} }
+ * where power is signed.
+ *
+ * @param {{
+ *   seed?: number; start?: string; duration?: number; update_frequency?: number;
+ *   seq_start?: number; seq_inc?: number; message_interval?: number;
+ *   voltage?: number; ac_frequency?: number; power_factor?: number;
+ *   a?: Function | number; b?: Function | number;
+ *   late_energy_flow?: boolean; omit_energy_flow_at_zero?: boolean;
+ *   drop?: number; reorder?: number; single_zero?: number;
+ *   energy_interval?: number; time_sync_interval?: number;
+ * }} settings
+ *   The durations are in seconds (except message_interval in ms) and drop,
+ *   reorder and single_zero are probabilities per message (or per frame).
+ */
+export function simulate({
+    seed = 1,
+    start = "2026-01-01T12:00:00.000Z",
+    duration = 600,
+    update_frequency = 10,
+    seq_start = 0,
+    seq_inc = 256,
+    message_interval = 50,
+    voltage = 230,
+    ac_frequency = 50,
+    power_factor = 90,
+    a = 0,
+    b = 0,
+    late_energy_flow = false,
+    omit_energy_flow_at_zero = true,
+    drop = 0,
+    reorder = 0,
+    single_zero = 0,
+    energy_interval = 360,
+    time_sync_interval = 0,
+} = {}) {
+    const random = createRandom(seed);
+    const channels = {
+        a: { profile: typeof a === "number" ? profiles.constant(a) : a, dp: { flow: 102, current: 113, power: 101, power_factor: 110 } },
+        b: { profile: typeof b === "number" ? profiles.constant(b) : b, dp: { flow: 104, current: 114, power: 105, power_factor: 121 } },
+    };
+    const energy = { a: { imported: 0, exported: 0, previous_flow: 0 }, b: { imported: 0, exported: 0, previous_flow: 0 } };
+    const t0 = Date.parse(start);
+    const events = [];
+    const frames = [];
+    let seq = seq_start;
+    let next_energy = t0;
+    let next_time_sync = time_sync_interval > 0 ? t0 + time_sync_interval * 1000 : Infinity;
+
+    // The messages of the current update (before the faults are applied)
+    const send = (/** @type {any[]} */ messages, /** @type {number} */ time) => {
+        for (const message of messages) {
+            if (message.type === "commandDataReport") {
+                message.seq = seq & 0xffff;
+            }
+            seq += seq_inc;
+        }
+        // Swap adjacent messages and drop some of them.
+        for (let i = 0; i + 1 < messages.length; i++) {
+            if (random() < reorder) {
+                [messages[i], messages[i + 1]] = [messages[i + 1], messages[i]];
+                i++;
+            }
+        }
+        messages
+            .filter(() => !(drop > 0 && random() < drop))
+            .forEach((message, i) => {
+                events.push({ time: new Date(time + i * message_interval).toISOString(), ...message });
+            });
+    };
+    const report = (/** @type {any[]} */ dpValues) => dpValues.map((value) => ({ type: "commandDataReport", dpValues: [value] }));
+
+    send(report([dpValue(129, 2, update_frequency)]), t0 - 1000);
+
+    for (let time = t0; time < t0 + duration * 1000; time += update_frequency * 1000) {
+        if (time >= next_time_sync) {
+            send([{ type: "commandMcuSyncTime" }], time - 500);
+            next_time_sync += time_sync_interval * 1000;
+        }
+
+        const frame = { time: new Date(time).toISOString(), power_ab: 0 };
+        const values = {};
+        for (const x of ["a", "b"]) {
+            const power = channels[x].profile(time, random);
+            values[x] = channelValues(power, voltage, power_factor);
+            frame[x] = {
+                power: (values[x].flow === 1 ? -values[x].power : values[x].power) / 10,
+                current: values[x].current / 1000,
+                power_factor: values[x].power_factor,
+                energy_flow: values[x].flow === 1 ? "producing" : "consuming",
+            };
+            frame.power_ab += frame[x].power;
+
+            // Integrate the energy over the update period (in 0.01 kWh)
+            const kwh = (Math.abs(frame[x].power) * update_frequency) / 3600 / 1000;
+            if (values[x].flow === 1) energy[x].exported += kwh;
+            else energy[x].imported += kwh;
+        }
+        frame.power_ab = Math.round(frame.power_ab * 10) / 10;
+        frames.push(frame);
+
+        const messages = [];
+        for (const x of ["a", "b"]) {
+            const dp = channels[x].dp;
+            const value = values[x];
+            let flow = value.flow;
+            if (late_energy_flow) {
+                // The device sends the direction of the previous update.
+                flow = energy[x].previous_flow;
+                if (!value.zero) energy[x].previous_flow = value.flow;
+            }
+            let raw_power = value.power;
+            let raw_current = value.current;
+            if (!value.zero && single_zero > 0 && random() < single_zero) {
+                if (random() < 0.5) raw_power = 0;
+                else raw_current = 0;
+            }
+            const group = [];
+            if (!value.zero || !omit_energy_flow_at_zero) group.push(dpValue(dp.flow, 4, flow));
+            group.push(
+                dpValue(112, 2, Math.round(voltage * 10)),
+                dpValue(dp.current, 2, raw_current),
+                dpValue(dp.power, 2, raw_power),
+                dpValue(dp.power_factor, 2, value.power_factor),
+                dpValue(111, 2, Math.round(ac_frequency * 100)),
+                dpValue(115, 2, Math.round(frame.power_ab * 10)),
+            );
+            messages.push(...report(group));
+        }
+
+        if (energy_interval > 0 && time >= next_energy) {
+            messages.push(
+                ...report([
+                    dpValue(106, 2, Math.floor(energy.a.imported * 100)),
+                    dpValue(107, 2, Math.floor(energy.a.exported * 100)),
+                    dpValue(108, 2, Math.floor(energy.b.imported * 100)),
+                    dpValue(109, 2, Math.floor(energy.b.exported * 100)),
+                    dpValue(1, 2, Math.floor((energy.a.imported + energy.b.imported) * 100)),
+                    dpValue(2, 2, Math.floor((energy.a.exported + energy.b.exported) * 100)),
+                ]),
+            );
+            next_energy += energy_interval * 1000;
+        }
+
+        send(messages, time);
+    }
+
+    return { events, frames };
+}
+
+/**
+ * @param {string[]} argv
+ */
+function main(argv) {
+    const settings = {};
+    const numbers = {
+        "--seed": "seed",
+        "--duration": "duration",
+        "--update-frequency": "update_frequency",
+        "--seq-inc": "seq_inc",
+        "--drop": "drop",
+        "--reorder": "reorder",
+        "--single-zero": "single_zero",
+        "--energy-interval": "energy_interval",
+        "--time-sync-interval": "time_sync_interval",
+    };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg in numbers) {
+            settings[numbers[arg]] = Number(argv[++i]);
+        } else if (arg === "--start") {
+            settings.start = new Date(argv[++i]).toISOString();
+        } else if (arg === "--a" || arg === "--b") {
+            settings[arg.slice(2)] = parseProfile(argv[++i]);
+        } else if (arg === "--late-energy-flow") {
+            settings.late_energy_flow = true;
+        } else {
+            console.error(`Unknown argument '${arg}'`);
+            process.exit(2);
+        }
+    }
+    for (const event of simulate(settings).events) {
+        console.log(JSON.stringify(event));
+    }
+}
+
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    main(process.argv.slice(2));
+}
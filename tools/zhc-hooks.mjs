@@ -0,0 +1,12 @@
+// Module resolution hooks redirecting zigbee-herdsman-converters to
+// the stand-ins in tools/zhc (see zhc-register.mjs).
+
+const PREFIX = "zigbee-herdsman-converters/";
+const STUBS = new URL("./zhc/", import.meta.url);
+
+export async function resolve(specifier, context, nextResolve) {
+    if (specifier.startsWith(PREFIX)) {
+        return { url: new URL(`${specifier.slice(PREFIX.length)}.mjs`, STUBS).href, shortCircuit: true };
+    }
+    return nextResolve(specifier, context);
+}
@@ -0,0 +1,8 @@
+// Register the zigbee-herdsman-converters stand-ins.
+//
+// Can be preloaded with `node --import ./tools/zhc-register.mjs ...`.
+// The converters must be imported (dynamically) after registration.
+
+import { register } from "node:module";
+
+register("./zhc-hooks.mjs", import.meta.url);
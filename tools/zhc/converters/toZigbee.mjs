@@ -0,0 +1,2 @@
+// Stand-in for zigbee-herdsman-converters/converters/toZigbee.
+export default {};
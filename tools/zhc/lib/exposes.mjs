@@ -0,0 +1,79 @@
+// Stand-in for zigbee-herdsman-converters/lib/exposes.
+//
+// Only the builders used by the PJ-1203A converters are provided.
+
+class Base {
+    constructor(type, name, access) {
+        this.type = type;
+        this.name = name;
+        this.property = name;
+        this.access = access;
+    }
+    withDescription(description) {
+        this.description = description;
+        return this;
+    }
+    withUnit(unit) {
+        this.unit = unit;
+        return this;
+    }
+    withValueMin(value) {
+        this.value_min = value;
+        return this;
+    }
+    withValueMax(value) {
+        this.value_max = value;
+        return this;
+    }
+    withValueStep(value) {
+        this.value_step = value;
+        return this;
+    }
+    withPreset(name, value, description) {
+        this.presets = [...(this.presets ?? []), { name, value, description }];
+        return this;
+    }
+    withCategory(category) {
+        this.category = category;
+        return this;
+    }
+    withLabel(label) {
+        this.label = label;
+        return this;
+    }
+}
+
+export const access = { STATE: 1, SET: 2, STATE_SET: 3, GET: 4, STATE_GET: 5, ALL: 7 };
+
+export function binary(name, acc, valueOn, valueOff) {
+    const expose = new Base("binary", name, acc);
+    expose.value_on = valueOn;
+    expose.value_off = valueOff;
+    return expose;
+}
+
+export function numeric(name, acc) {
+    return new Base("numeric", name, acc);
+}
+
+export function text(name, acc) {
+    return new Base("text", name, acc);
+}
+
+function enumeration(name, acc, values) {
+    const expose = new Base("enum", name, acc);
+    expose.values = values;
+    return expose;
+}
+export { enumeration as enum };
+
+export const presets = {
+    binary,
+    numeric,
+    text,
+    enum: enumeration,
+    ac_frequency: () => numeric("ac_frequency", access.STATE).withUnit("Hz"),
+    voltage: () => numeric("voltage", access.STATE).withUnit("V"),
+};
+
+export default { access, binary, numeric, text, enum: enumeration, presets };
@@ -0,0 +1,30 @@
+// Stand-in for zigbee-herdsman-converters/lib/store (in-memory per device).
+
+const stores = new WeakMap();
+
+/**
+ * @param {object} device
+ */
+function deviceStore(device) {
+    if (!stores.has(device)) stores.set(device, {});
+    return stores.get(device);
+}
+
+export function getValue(device, key, fallback = undefined) {
+    const store = deviceStore(device);
+    return key in store ? store[key] : fallback;
+}
+
+export function putValue(device, key, value) {
+    deviceStore(device)[key] = value;
+}
+
+export function hasValue(device, key) {
+    return key in deviceStore(device);
+}
+
+export function clearValue(device, key) {
+    delete deviceStore(device)[key];
+}
+
+export default { getValue, putValue, hasValue, clearValue };
@@ -0,0 +1,95 @@
+// Stand-in for zigbee-herdsman-converters/lib/tuya.
+//
+// fz.datapoints decodes the datapoints and dispatches them to the
+// converters of model.meta.tuyaDatapoints like the real one.
+
+import { numeric, enum as enumeration, access } from "./exposes.mjs";
+
+export const dataTypes = { raw: 0, bool: 1, number: 2, string: 3, enum: 4, bitmap: 5 };
+
+// Not exported by the real module (only used by fz.datapoints).
+//
+/**
+ * @param {{ dp: number; datatype: number; data: Buffer; }} dpValue
+ */
+function getDataValue(dpValue) {
+    const data = dpValue.data;
+    switch (dpValue.datatype) {
+        case dataTypes.raw:
+            return data;
+        case dataTypes.bool:
+            return data[0] === 1;
+        case dataTypes.number: {
+            // Same as convertMultiByteNumberPayloadToSingleDecimalNumber (i.e. signed on 32 bits)
+            let value = 0;
+            for (let i = 0; i < data.length; i++) {
+                value = value << 8;
+                value += data[i];
+            }
+            return value;
+        }
+        case dataTypes.string:
+            return String.fromCharCode(...data);
+        case dataTypes.enum:
+            return data[0];
+        case dataTypes.bitmap:
+            return data.readUIntBE(0, data.length);
+    }
+    throw new Error(`Unsupported datatype ${dpValue.datatype}`);
+}
+
+export const fz = {
+    datapoints: {
+        cluster: "manuSpecificTuya",
+        type: ["commandDataResponse", "commandDataReport", "commandActiveStatusReport", "commandActiveStatusReportAlt"],
+        options: [],
+        convert: (model, msg, publish, options, meta) => {
+            const result = {};
+            for (const dpValue of msg.data.dpValues) {
+                const dpEntry = model.meta.tuyaDatapoints.find((d) => d[0] === dpValue.dp);
+                const value = getDataValue(dpValue);
+                if (dpEntry?.[2]?.from) {
+                    if (dpEntry[1]) {
+                        result[dpEntry[1]] = dpEntry[2].from(value, meta, options, publish, msg);
+                    } else {
+                        Object.assign(result, dpEntry[2].from(value, meta, options, publish, msg));
+                    }
+                } else {
+                    meta.logger.debug(`Datapoint ${dpValue.dp} not defined with value ${value}`);
+                }
+            }
+            return result;
+        },
+    },
+};
+
+export const tz = {
+    datapoints: {
+        key: [],
+        convertSet: async () => {},
+    },
+};
+
+export const valueConverter = {
+    raw: { from: (v) => v },
+    divideBy10: { from: (v) => v / 10 },
+    divideBy100: { from: (v) => v / 100 },
+    divideBy1000: { from: (v) => v / 1000 },
+};
+
+export const exposes = {
+    powerWithPhase: (x) => numeric(`power_${x}`, access.STATE).withUnit("W"),
+    currentWithPhase: (x) => numeric(`current_${x}`, access.STATE).withUnit("A"),
+    powerFactorWithPhase: (x) => numeric(`power_factor_${x}`, access.STATE).withUnit("%"),
+    energyFlowWithPhase: (x, more = []) => enumeration(`energy_flow_${x}`, access.STATE, ["consuming", "producing", ...more]),
+    energyWithPhase: (x) => numeric(`energy_${x}`, access.STATE).withUnit("kWh"),
+    energyProducedWithPhase: (x) => numeric(`energy_produced_${x}`, access.STATE).withUnit("kWh"),
+};
+
+export function fingerprint(modelID, manufacturerNames) {
+    return manufacturerNames.map((manufacturerName) => ({ modelID, manufacturerName }));
+}
+
+export async function onEventSetTime() {}
+
+export async function configureMagicPacket() {}